@@ -3,6 +3,15 @@
 // Import configuration for OAuth client id and API key.
 import config from "./config.js";
 
+// Import the shared tunables schema used by the options page.
+import { SETTINGS_KEY, DEBUG_KEY, defaultSettings, sanitizeSettings } from "./settings.js";
+
+// Import the storage layout: cache keys, shard helpers, chrome.storage.local wrappers and migrations.
+import {
+    IDENTITIES_KEY, SUBS_INDEX_KEY, CHANNEL_CACHE_KEY, HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS, CHANNEL_CACHE_SHARDS,
+    identityKey, shardOf, shardKeys, shardValues, loadShards, storageGet, storageSet, storageRemove, runMigrations
+} from "./storage-schema.js";
+
 /*
     Module: Service Worker (Background)
 
@@ -26,8 +35,8 @@ import config from "./config.js";
 const DEBUG_DEFAULT = false;
 let DEBUG = DEBUG_DEFAULT;
 try {
-    chrome?.storage?.local?.get?.(["ytsm_debug"], s => {
-        if (typeof s?.ytsm_debug === "boolean") DEBUG = s.ytsm_debug;
+    chrome?.storage?.local?.get?.([DEBUG_KEY], s => {
+        if (typeof s?.[DEBUG_KEY] === "boolean") applyDebug(s[DEBUG_KEY]);
     });
 } catch {}
 
@@ -43,12 +52,12 @@ try {
     - heartbeatMs: minimum interval between heartbeat logs per tag in milliseconds
 
     Outputs
-    - An object with { error, warn, info, debug, heartbeat } methods
+    - An object with { error, warn, info, debug, heartbeat, setLevel } methods
 */
 function makeLogger(prefix, level = "info", heartbeatMs = 2500) {
     // Define rank thresholds and track last heartbeat per tag.
     const rank = { error: 0, warn: 1, info: 2, debug: 3 };
-    const min = rank[level] ?? 2;
+    let min = rank[level] ?? 2;
     const last = new Map();
 
     // Emit a log message if level passes threshold.
@@ -69,13 +78,20 @@ function makeLogger(prefix, level = "info", heartbeatMs = 2500) {
         }
     }
 
+    // Change level and heartbeat window at runtime.
+    function setLevel(nextLevel, nextHeartbeatMs = heartbeatMs) {
+        min = rank[nextLevel] ?? 2;
+        heartbeatMs = nextHeartbeatMs;
+    }
+
     // Return the structured logger API.
     return {
         error: (...a) => emit("error", a),
         warn: (...a) => emit("warn", a),
         info: (...a) => emit("info", a),
         debug: (...a) => emit("debug", a),
-        heartbeat
+        heartbeat,
+        setLevel
     };
 }
 
@@ -83,610 +99,2695 @@ function makeLogger(prefix, level = "info", heartbeatMs = 2500) {
 // In DEBUG: more verbose, faster heartbeat. Otherwise: warn-level, slower heartbeat.
 const logger = makeLogger("[YTSM/BG]", DEBUG ? "info" : "warn", DEBUG ? 3000 : 30000);
 
+/*
+    Function: applyDebug
+
+    Purpose
+    Switch the DEBUG flag and logger verbosity when the stored flag changes.
+
+    Inputs
+    - on: boolean
+
+    Outputs
+    - void
+*/
+function applyDebug(on) {
+    // Mirror the level/heartbeat choice made at logger creation.
+    DEBUG = !!on;
+    logger.setLevel(DEBUG ? "info" : "warn", DEBUG ? 3000 : 30000);
+}
+
 // OAuth, API, and storage keys.
 const CLIENT_ID = config.CLIENT_ID;
 const SEARCH_API_KEY = config.SEARCH_API_KEY;
 const REDIRECT_URI = `https://${chrome.runtime.id}.chromiumapp.org/`;
 const SCOPES = ["https://www.googleapis.com/auth/youtube.readonly"];
-const TOKEN_KEY = "oauth_token";
+const TOKENS_KEY = "oauth_tokens";
+const ACTIVE_IDENTITY_KEY = "activeIdentity";
+
+// Single-account keys from before per-identity storage; migrated at startup.
+const LEGACY_TOKEN_KEY = "oauth_token";
+const LEGACY_AUTH_STATE_KEY = "auth_state";
+
+// Silent token renewal timing.
+const AUTH_ALARM = "ytsm-token-renew";
+const RENEW_AHEAD_MS = 5 * 60 * 1000;
+const RENEW_RETRY_MS = 2 * 60 * 1000;
+const RENEW_FAILED_RETRY_MS = 30 * 60 * 1000;
+
+// User tunables; defaults here, overridden from storage by applySettings.
+const SETTINGS_DEFAULTS = defaultSettings();
 
 // Time constants and TTLs.
 const ONE_HOUR_MS = 60 * 60 * 1000;
-const SUB_LIST_TTL_MS = 12 * 60 * 60 * 1000;
-const NEGATIVE_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
-const HANDLE_RESOLVE_TIMEOUT_MS = 8000;
-
-// Subscriptions paging constants.
+let SUB_LIST_TTL_MS = SETTINGS_DEFAULTS.SUB_LIST_TTL_MS;
+let NEGATIVE_CACHE_TTL_MS = SETTINGS_DEFAULTS.NEGATIVE_CACHE_TTL_MS;
+let HANDLE_RESOLVE_TIMEOUT_MS = SETTINGS_DEFAULTS.HANDLE_RESOLVE_TIMEOUT_MS;
+let HANDLE_REVALIDATE_TTL_MS = SETTINGS_DEFAULTS.HANDLE_REVALIDATE_TTL_MS;
+let HANDLE_REVALIDATE_BUDGET = SETTINGS_DEFAULTS.HANDLE_REVALIDATE_BUDGET;
+let HANDLE_CACHE_MAX = SETTINGS_DEFAULTS.HANDLE_CACHE_MAX;
+let CHANNEL_CACHE_MAX = SETTINGS_DEFAULTS.CHANNEL_CACHE_MAX;
+let VERIFY_HISTORY_MAX = SETTINGS_DEFAULTS.VERIFY_HISTORY_MAX;
+let SEARCH_FALLBACK = SETTINGS_DEFAULTS.SEARCH_FALLBACK;
+
+// Subscriptions paging constants and per-identity key prefixes.
 const SUB_LIST_BATCH = 50;
-const SUBS_INDEX_KEY = "subscriptionsIndex";
+const PROBE_MIN_INTERVAL_MS = 10 * 60 * 1000;
+const VERIFY_HISTORY_KEY = "negativeVerifyAt";
+const TOKEN_BUCKETS_KEY = "tokenBuckets";
+const CHANGE_LOG_KEY = "subscriptionChanges";
+const CHANGE_LOG_MAX_ENTRIES = 200;
+
+// Checkpointed paging: progress survives worker termination and resumes on the next wake.
+const SYNC_CHECKPOINT_KEY = "subscriptionSyncCheckpoint";
+const SYNC_RESUME_ALARM = "ytsm-sync-resume";
+const SYNC_STALL_MS = 2 * 60 * 1000;
+const SYNC_CHECKPOINT_MAX_AGE_MS = 60 * 60 * 1000;
+
+// Shared API client: retry/backoff bounds and the persisted quota-exhausted pause.
+const API_MAX_ATTEMPTS = 4;
+const API_BACKOFF_BASE_MS = 1000;
+const API_BACKOFF_MAX_MS = 30_000;
+const API_PAUSE_KEY = "apiQuotaPause";
+const API_RESUME_ALARM = "ytsm-api-resume";
+
+// Daily quota ledger: unit cost per endpoint, days kept, and per-category caps (from settings).
+const API_UNIT_COST = { subscriptions: 1, channels: 1, search: 100 };
+
+// How far each resolution strategy is trusted; recorded with every handle cache entry.
+const STRATEGY_CONFIDENCE = {
+    channelMetadataRenderer: "high",
+    microformat: "high",
+    canonicalLink: "high",
+    ogUrl: "high",
+    forHandle: "high",
+    forUsername: "high",
+    subscription: "high",
+    ytcfg: "medium",
+    pageData: "medium",
+    channelPath: "low",
+    anyChannelId: "low",
+    customNameAsHandle: "low",
+    search: "low"
+};
+
+// Order of the confidence levels; entries with no id (negatives, missing) rank below all of them.
+const CONFIDENCE_RANK = { unknown: 0, low: 1, medium: 2, high: 3 };
+
+// Background re-checks of resolved handles run hourly; reassignments are kept in a bounded log.
+const HANDLE_REVALIDATE_ALARM = "ytsm-handle-revalidate";
+const HANDLE_REVALIDATE_PERIOD_MIN = 60;
+const HANDLE_MOVES_KEY = "handleMoves";
+const HANDLE_MOVES_MAX = 100;
+
+// Write-behind persistence: caches are stored in shards, and changed shards are written after a short debounce.
+const PERSIST_DEBOUNCE_MS = 250;
+const VERIFY_HISTORY_SHARDS = 8;
+
+// A cache hit re-stamps the entry's usedAt (kept apart from ts, which drives TTLs) at most this often,
+// so hit recency survives a reload without a write per hit.
+const LRU_TOUCH_PERSIST_MS = 60_000;
+
+// chrome.storage.local usage is sampled at most once a minute; past the evict ratio the caches shrink to
+// STORAGE_EMERGENCY_SCALE of their caps, and past the warn ratio the popup shows a warning.
+const STORAGE_CHECK_INTERVAL_MS = 60_000;
+const STORAGE_QUOTA_FALLBACK = 10 * 1024 * 1024;
+const STORAGE_EVICT_RATIO = 0.8;
+const STORAGE_WARN_RATIO = 0.9;
+const STORAGE_EMERGENCY_SCALE = 0.5;
+
+// Channel page reads stop after this many characters even if no id was found.
+const HTML_MAX_CHARS = 3 * 1024 * 1024;
+
+// Network concurrency: at most this many HTML/API fetches at once; foreground-tab work goes first.
+const FETCH_CONCURRENCY = 6;
+const BACKGROUND_PRIORITY = Object.freeze({ foreground: false });
+
+// Batched per-channel checks: forChannelId accepts up to 50 ids; queued checks are collected briefly.
+const BATCH_MAX_IDS = 50;
+const BATCH_WINDOW_MS = 50;
+const QUOTA_LEDGER_KEY = "quotaLedger";
+const QUOTA_LEDGER_DAYS = 7;
+let QUOTA_CAPS = {
+    sync: SETTINGS_DEFAULTS.QUOTA_CAP_SYNC,
+    perChannel: SETTINGS_DEFAULTS.QUOTA_CAP_PER_CHANNEL,
+    verify: SETTINGS_DEFAULTS.QUOTA_CAP_VERIFY,
+    search: SETTINGS_DEFAULTS.QUOTA_CAP_SEARCH,
+    resolve: SETTINGS_DEFAULTS.QUOTA_CAP_RESOLVE,
+    identity: SETTINGS_DEFAULTS.QUOTA_CAP_IDENTITY
+};
 
 // Token bucket budgets.
-const PC_BUDGET_MAX = 20;
+let PC_BUDGET_MAX = SETTINGS_DEFAULTS.PC_BUDGET_MAX;
 const PC_BUDGET_REFILL_MS = 60_000;
 let pcTokens = PC_BUDGET_MAX;
 let pcLastRefill = Date.now();
 
-const VERIFY_BUDGET_MAX = 10;
+let VERIFY_BUDGET_MAX = SETTINGS_DEFAULTS.VERIFY_BUDGET_MAX;
 const VERIFY_BUDGET_REFILL_MS = 60_000;
-const VERIFY_NEG_TTL_MS = 6 * 60 * 60 * 1000;
+let VERIFY_NEG_TTL_MS = SETTINGS_DEFAULTS.VERIFY_NEG_TTL_MS;
 let verifyTokens = VERIFY_BUDGET_MAX;
 let verifyLastRefill = Date.now();
 
-// In-memory caches and state flags.
+// Identity registry and the active identity's channel id.
+let identities = {};
+let activeId = null;
+
+// In-memory caches and state flags. cache, subsIndex and lastNegativeVerifyAt belong to the active identity.
 let cache = {};
 let handleToChannelCache = {};
-let subsIndex = { updatedAt: 0, ids: [] };
+let handleMoves = [];
+let revalidating = false;
+let subsIndex = { updatedAt: 0, ids: [], records: {} };
 let lastNegativeVerifyAt = {};
-let syncing = false;
+let subsSetCache = { ids: null, size: -1, set: new Set() };
+const syncInFlight = new Map();
+let lastError = null;
+let storageUsage = { bytes: 0, quota: 0, checkedAt: 0 };
+const persistDirty = { handle: new Set(), channel: new Set(), verify: new Set(), index: false, moves: false, budgets: false };
+let persistTimer = null;
+let persistChain = Promise.resolve();
+let apiPause = null;
+let quotaLedger = {};
+const fetchPool = { active: 0, queue: [] };
+const resolving = new Map();
+const channelBatches = {
+    perChannel: { pending: new Map(), timer: null },
+    verify: { pending: new Map(), timer: null }
+};
+const renewing = new Map();
+const lastRenewAttemptAt = new Map();
 
 /*
-    Code Block: Startup Cache Hydration
+    Function: applySettings
 
     Purpose
-    Load caches from storage and, if authenticated and stale, start a background subscriptions refresh.
+    Adopt validated tunables from storage, clamping live token buckets to any lowered maximum.
 
     Inputs
-    - None (reads from chrome.storage.local)
+    - raw: object|undefined stored settings
 
     Outputs
-    - Initializes in-memory caches and may trigger ensureSubsIndexFresh(false)
+    - void
 */
-chrome.storage.local.get(
-    ["subscriptionCache", "handleChannelCache", SUBS_INDEX_KEY],
-    data => {
-        // Load legacy per-channel cache entries if present.
-        if (data.subscriptionCache && typeof data.subscriptionCache === "object") {
-            cache = data.subscriptionCache;
-            logger.info("per-channel cache entries", Object.keys(cache).length);
-        } else {
-            logger.info("no legacy per-channel cache");
-        }
-
-        // Load handle/url resolution cache if present.
-        if (data.handleChannelCache && typeof data.handleChannelCache === "object") {
-            handleToChannelCache = data.handleChannelCache;
-            logger.info("handle/url cache entries", Object.keys(handleToChannelCache).length);
-        } else {
-            logger.info("no handle/url cache");
-        }
-
-        // Load subscriptions index if present.
-        if (data[SUBS_INDEX_KEY] && Array.isArray(data[SUBS_INDEX_KEY].ids)) {
-            subsIndex = data[SUBS_INDEX_KEY];
-            logger.info("subscriptions index", subsIndex.ids.length, new Date(subsIndex.updatedAt).toISOString());
-        } else {
-            logger.info("no subscriptions index");
-        }
+function applySettings(raw) {
+    // Validate against the shared schema and assign module-level tunables.
+    const s = sanitizeSettings(raw);
+    SUB_LIST_TTL_MS = s.SUB_LIST_TTL_MS;
+    NEGATIVE_CACHE_TTL_MS = s.NEGATIVE_CACHE_TTL_MS;
+    HANDLE_RESOLVE_TIMEOUT_MS = s.HANDLE_RESOLVE_TIMEOUT_MS;
+    HANDLE_REVALIDATE_TTL_MS = s.HANDLE_REVALIDATE_TTL_MS;
+    HANDLE_REVALIDATE_BUDGET = s.HANDLE_REVALIDATE_BUDGET;
+    HANDLE_CACHE_MAX = s.HANDLE_CACHE_MAX;
+    CHANNEL_CACHE_MAX = s.CHANNEL_CACHE_MAX;
+    VERIFY_HISTORY_MAX = s.VERIFY_HISTORY_MAX;
+    SEARCH_FALLBACK = s.SEARCH_FALLBACK;
+    PC_BUDGET_MAX = s.PC_BUDGET_MAX;
+    VERIFY_BUDGET_MAX = s.VERIFY_BUDGET_MAX;
+    VERIFY_NEG_TTL_MS = s.VERIFY_NEG_TTL_MS;
+    QUOTA_CAPS = {
+        sync: s.QUOTA_CAP_SYNC,
+        perChannel: s.QUOTA_CAP_PER_CHANNEL,
+        verify: s.QUOTA_CAP_VERIFY,
+        search: s.QUOTA_CAP_SEARCH,
+        resolve: s.QUOTA_CAP_RESOLVE,
+        identity: s.QUOTA_CAP_IDENTITY
+    };
 
-        // If token is valid and index is stale, trigger refresh.
-        getValidToken().then(tok => {
-            if (tok && isSubsIndexStale()) {
-                logger.info("subscriptions index stale; starting refresh");
-                void ensureSubsIndexFresh(false);
-            }
-        });
-    }
-);
+    // Never leave more tokens in a bucket than its new capacity.
+    pcTokens = Math.min(pcTokens, PC_BUDGET_MAX);
+    verifyTokens = Math.min(verifyTokens, VERIFY_BUDGET_MAX);
+    logger.info("settings applied", s);
+}
 
 /*
-    Function: saveCachesToStorage
+    Code Block: Settings Hydration and Live Updates
 
     Purpose
-    Persist caches atomically for consistency.
+    Load tunables at startup and follow changes written by the options page.
 
     Inputs
-    - None (uses module-level caches)
+    - storage keys SETTINGS_KEY and DEBUG_KEY
 
     Outputs
-    - Promise<void>
+    - Updates module-level tunables and DEBUG; settingsLoaded resolves once the stored settings are applied
 */
-async function saveCachesToStorage() {
-    // Persist all caches under distinct keys.
-    return new Promise(resolve => {
-        chrome.storage.local.set(
-            {
-                subscriptionCache: cache,
-                handleChannelCache: handleToChannelCache,
-                [SUBS_INDEX_KEY]: subsIndex
-            },
-            () => resolve()
-        );
-    });
-}
+const settingsLoaded = new Promise(resolve => chrome.storage.local.get([SETTINGS_KEY], data => {
+    applySettings(data[SETTINGS_KEY]);
+    resolve();
+}));
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local") return;
+    if (changes[SETTINGS_KEY]) applySettings(changes[SETTINGS_KEY].newValue);
+    if (changes[DEBUG_KEY]) applyDebug(changes[DEBUG_KEY].newValue);
+});
 
 /*
-    Function: isSubsIndexStale
+    Code Block: Startup Cache Hydration
 
     Purpose
-    Determine if the subscriptions index TTL has expired.
+    Run storage migrations, load the identity registry and caches from storage, migrate the
+    single-account sign-in, and, if authenticated and stale, start a background subscriptions refresh.
 
     Inputs
-    - None
+    - None (reads from chrome.storage.local)
 
     Outputs
-    - boolean
+    - hydrated: Promise<void> resolved once in-memory state is ready
 */
-function isSubsIndexStale() {
-    // Compare current time against last updated timestamp.
-    return !subsIndex.updatedAt || Date.now() - subsIndex.updatedAt > SUB_LIST_TTL_MS;
-}
+const hydrated = (async () => {
+    // Bring older storage layouts up to date before anything reads them.
+    const { error: migrationError } = await runMigrations(logger);
+    if (migrationError) recordError("storage migration", migrationError);
+    const data = await storageGet([IDENTITIES_KEY, ACTIVE_IDENTITY_KEY, ...shardKeys(HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS), HANDLE_MOVES_KEY, LEGACY_TOKEN_KEY, API_PAUSE_KEY, QUOTA_LEDGER_KEY, TOKEN_BUCKETS_KEY]);
+
+    // Restore a quota pause that outlived the previous worker, and the units spent so far.
+    if (data[API_PAUSE_KEY]?.until > Date.now()) apiPause = data[API_PAUSE_KEY];
+    if (data[QUOTA_LEDGER_KEY] && typeof data[QUOTA_LEDGER_KEY] === "object") quotaLedger = data[QUOTA_LEDGER_KEY];
+
+    // Restore the token buckets where the previous worker left them; refills follow from the stored windows.
+    // Clamp against the configured capacities, so wait for the stored settings; a first start fills them.
+    await settingsLoaded;
+    const buckets = data[TOKEN_BUCKETS_KEY];
+    if (!buckets || typeof buckets !== "object") {
+        pcTokens = PC_BUDGET_MAX;
+        verifyTokens = VERIFY_BUDGET_MAX;
+    } else {
+        const now = Date.now();
+        const count = (v, max) => (Number.isFinite(v) ? Math.max(0, Math.min(v, max)) : max);
+        const at = v => (Number.isFinite(v) && v <= now ? v : now);
+        pcTokens = count(buckets.pcTokens, PC_BUDGET_MAX);
+        pcLastRefill = at(buckets.pcLastRefill);
+        verifyTokens = count(buckets.verifyTokens, VERIFY_BUDGET_MAX);
+        verifyLastRefill = at(buckets.verifyLastRefill);
+    }
+
+    // Load handle/url resolution cache if present; it is shared by all identities.
+    handleToChannelCache = loadShards(data, HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS, e => (typeof e === "object" && e ? e.usedAt || e.ts || 0 : 0));
+    logger.info("handle/url cache entries", Object.keys(handleToChannelCache).length);
+    if (Array.isArray(data[HANDLE_MOVES_KEY])) handleMoves = data[HANDLE_MOVES_KEY];
+
+    // Load the identity registry and the active identity's caches.
+    if (data[IDENTITIES_KEY] && typeof data[IDENTITIES_KEY] === "object") identities = data[IDENTITIES_KEY];
+    const storedActive = data[ACTIVE_IDENTITY_KEY];
+    activeId = storedActive && identities[storedActive] ? storedActive : Object.keys(identities)[0] || null;
+    await loadIdentityCaches(activeId);
+    logger.info("identities", Object.keys(identities).length, "active", activeId);
+
+    // Convert a pre-multi-account sign-in into an identity.
+    if (data[LEGACY_TOKEN_KEY] && !Object.keys(identities).length) await migrateLegacyAuth(data[LEGACY_TOKEN_KEY]);
+
+    // Re-arm renewal and revalidation alarms (alarms survive restarts, but not reinstalls) and the badge.
+    await ensureRenewalScheduled();
+    if (!await chrome.alarms.get(HANDLE_REVALIDATE_ALARM)) {
+        chrome.alarms.create(HANDLE_REVALIDATE_ALARM, { periodInMinutes: HANDLE_REVALIDATE_PERIOD_MIN });
+    }
+    await updateBadge();
+})();
+
+// If token is valid and the index is stale or a sync was interrupted, refresh once hydration is done.
+hydrated.then(async () => {
+    const tok = await getValidToken();
+    if (!tok) return;
+    if (isSubsIndexStale()) {
+        logger.info("subscriptions index stale; starting refresh");
+        void ensureSubsIndexFresh(false);
+    } else if (await loadSyncCheckpoint(activeId)) {
+        logger.info("interrupted subscriptions sync found; resuming");
+        void ensureSubsIndexFresh(false);
+    }
+});
 
 /*
-    Function: setSubsIndex
+    Function: markDirty / addDirty
 
     Purpose
-    Replace the subscriptions index with a de-duplicated list and timestamp.
+    Record that a persisted entry changed and schedule a write-behind flush. Handle, channel and
+    verification entries dirty their shard; the subscriptions index, the handle move log and the token
+    buckets are written whole.
+
+    Evictions made while a flush is collecting shards use addDirty, which only records the shard: that
+    flush writes it, so no further flush is scheduled.
 
     Inputs
-    - ids: string[] of UC channel IDs
+    - area: "handle" | "channel" | "verify" | "index" | "moves" | "budgets"
+    - key: string cache key (handle, channel and verify areas)
 
     Outputs
-    - Promise<void>
+    - void
 */
-function setSubsIndex(ids) {
-    // Stamp updated time and remove duplicates.
-    subsIndex = { updatedAt: Date.now(), ids: Array.from(new Set(ids)) };
-    return saveCachesToStorage();
+function markDirty(area, key) {
+    addDirty(area, key);
+    if (!persistTimer) persistTimer = setTimeout(() => void flushPersist(), PERSIST_DEBOUNCE_MS);
+}
+function addDirty(area, key) {
+    if (area === "handle") persistDirty.handle.add(shardOf(key, HANDLE_CACHE_SHARDS));
+    else if (area === "channel") persistDirty.channel.add(shardOf(key, CHANNEL_CACHE_SHARDS));
+    else if (area === "verify") persistDirty.verify.add(shardOf(key, VERIFY_HISTORY_SHARDS));
+    else persistDirty[area] = true;
 }
 
 /*
-    Function: subsSet
+    Function: setHandleEntry / setChannelEntry
 
     Purpose
-    Expose a Set view of the current subscription IDs.
+    Write a handle cache or per-channel cache entry as most recently used and mark it for persistence.
 
     Inputs
-    - None
+    - key | channelId: string; value: cache entry
 
     Outputs
-    - Set<string>
+    - void
 */
-function subsSet() {
-    // Convert index array to a Set for O(1) lookups.
-    return new Set(subsIndex.ids);
+function setHandleEntry(key, value) {
+    lruSet(handleToChannelCache, key, value);
+    markDirty("handle", key);
+}
+function setChannelEntry(channelId, value) {
+    lruSet(cache, channelId, value);
+    markDirty("channel", channelId);
 }
 
 /*
-    Function: refillPcTokens
+    Function: flushPersist
 
     Purpose
-    Refill the per-channel token bucket on interval.
+    Write every dirty shard now. Flushes are chained so concurrent callers never interleave writes;
+    callers that must not lose changes (identity switch, suspend, invalidation) await it.
 
     Inputs
     - None
 
     Outputs
-    - void
+    - Promise<void>
 */
-function refillPcTokens() {
-    // If interval elapsed, refill and move the window.
-    const now = Date.now();
-    if (now - pcLastRefill >= PC_BUDGET_REFILL_MS) {
-        pcTokens = PC_BUDGET_MAX;
-        pcLastRefill = now;
-    }
+function flushPersist() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    persistChain = persistChain.then(async () => {
+        // Only a quota failure forces an immediate usage check, which evicts and retries; other failures
+        // keep the dirty marks for the next flush and are reported as they are.
+        const err = await writeDirtyShards();
+        if (err) logger.warn("cache write failed", err);
+        if (err && !isQuotaError(err)) recordError("storage", err);
+        await checkStorageUsage(isQuotaError(err));
+    }).catch(e => logger.warn("cache flush failed", e?.message || e));
+    return persistChain;
 }
 
 /*
-    Function: consumePcToken
+    Function: isQuotaError
 
     Purpose
-    Attempt to consume a per-channel token.
+    Tell a chrome.storage quota failure ("QUOTA_BYTES quota exceeded" and its variants) from other
+    write errors.
 
     Inputs
-    - None
+    - err: string|null error message from storageSet
 
     Outputs
     - boolean
 */
-function consumePcToken() {
-    // Ensure tokens are current, then spend if available.
-    refillPcTokens();
-    if (pcTokens > 0) {
-        pcTokens -= 1;
-        return true;
-    }
-    return false;
+function isQuotaError(err) {
+    return typeof err === "string" && /quota/i.test(err);
 }
 
 /*
-    Function: refillVerifyTokens
+    Function: writeDirtyShards
 
     Purpose
-    Refill the negative-verification token bucket on interval.
+    Trim the caches to their LRU caps, then write only the shards (and whole records) marked dirty for
+    the active identity in one storage call. Dirty marks are restored if the write fails.
 
     Inputs
-    - None
+    - None (uses module-level caches and persistDirty)
 
     Outputs
-    - void
+    - Promise<string|null> error message of a failed write
 */
-function refillVerifyTokens() {
-    // If interval elapsed, refill and move the window.
-    const now = Date.now();
-    if (now - verifyLastRefill >= VERIFY_BUDGET_REFILL_MS) {
-        verifyTokens = VERIFY_BUDGET_MAX;
-        verifyLastRefill = now;
+async function writeDirtyShards() {
+    // Bound the caches first, in the same pass; evictions join the shards written below.
+    trimCaches(1);
+    const taken = {
+        handle: [...persistDirty.handle],
+        channel: activeId ? [...persistDirty.channel] : [],
+        verify: activeId ? [...persistDirty.verify] : [],
+        index: persistDirty.index && !!activeId,
+        moves: persistDirty.moves,
+        budgets: persistDirty.budgets
+    };
+    persistDirty.handle.clear();
+    persistDirty.channel.clear();
+    persistDirty.verify.clear();
+    persistDirty.index = false;
+    persistDirty.moves = false;
+    persistDirty.budgets = false;
+
+    // Rebuild each dirty shard from memory.
+    const values = {};
+    Object.assign(values, shardValues(handleToChannelCache, HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS, taken.handle));
+    Object.assign(values, shardValues(cache, identityKey(CHANNEL_CACHE_KEY, activeId), CHANNEL_CACHE_SHARDS, taken.channel));
+    Object.assign(values, shardValues(lastNegativeVerifyAt, identityKey(VERIFY_HISTORY_KEY, activeId), VERIFY_HISTORY_SHARDS, taken.verify));
+    if (taken.index) values[identityKey(SUBS_INDEX_KEY, activeId)] = subsIndex;
+    if (taken.moves) values[HANDLE_MOVES_KEY] = handleMoves;
+    if (taken.budgets) values[TOKEN_BUCKETS_KEY] = { pcTokens, pcLastRefill, verifyTokens, verifyLastRefill };
+    if (!Object.keys(values).length) return null;
+
+    // Write; on failure put the marks back for the next flush.
+    const err = await storageSet(values);
+    if (err) {
+        for (const n of taken.handle) persistDirty.handle.add(n);
+        for (const n of taken.channel) persistDirty.channel.add(n);
+        for (const n of taken.verify) persistDirty.verify.add(n);
+        persistDirty.index = persistDirty.index || taken.index;
+        persistDirty.moves = persistDirty.moves || taken.moves;
+        persistDirty.budgets = persistDirty.budgets || taken.budgets;
+        return err;
     }
+    logger.debug("persisted shards", Object.keys(values).length);
+    return null;
 }
 
 /*
-    Function: consumeVerifyToken
+    Code Block: Flush Before Suspend
 
     Purpose
-    Attempt to consume a verification token.
+    Write pending cache changes when Chrome is about to suspend the service worker.
 
     Inputs
-    - None
+    - chrome.runtime.onSuspend
 
     Outputs
-    - boolean
+    - None
 */
-function consumeVerifyToken() {
-    // Ensure tokens are current, then spend if available.
-    refillVerifyTokens();
-    if (verifyTokens > 0) {
-        verifyTokens -= 1;
-        return true;
-    }
-    return false;
-}
+chrome.runtime.onSuspend.addListener(() => {
+    void flushPersist();
+});
 
 /*
-    Function: fetchWithTimeout
+    Function: lruSet / lruTouch / lruTrim
 
     Purpose
-    Perform a fetch with an abort controller timeout.
+    Treat a plain cache object as an LRU: keys keep insertion order (restored by entry time on load),
+    so writes and hits move a key to the end and trimming drops keys from the front. A hit on an object
+    entry also stamps usedAt (at most every LRU_TOUCH_PERSIST_MS), which load orders by, so the caller
+    must persist the entry when lruTouch returns true.
 
     Inputs
-    - url: string
-    - opts: RequestInit
-    - timeoutMs: number
+    - obj: cache object; key: string; value: any; max: number of keys to keep
 
     Outputs
-    - Promise<Response>
+    - void | boolean entry re-stamped | string[] keys evicted
 */
-async function fetchWithTimeout(url, opts = {}, timeoutMs = HANDLE_RESOLVE_TIMEOUT_MS) {
-    // Create controller and program a timeout abort.
-    const controller = new AbortController();
-    const id = setTimeout(() => controller.abort(), timeoutMs);
-
-    // Run fetch with signal and follow redirects; always clear timer.
-    try {
-        return await fetch(url, { ...opts, signal: controller.signal, redirect: "follow" });
-    } finally {
-        clearTimeout(id);
-    }
+function lruSet(obj, key, value) {
+    delete obj[key];
+    obj[key] = value;
+}
+function lruTouch(obj, key) {
+    if (!(key in obj)) return false;
+    const entry = obj[key];
+    const now = Date.now();
+    const restamp = !!entry && typeof entry === "object" && now - (entry.usedAt || entry.ts || 0) >= LRU_TOUCH_PERSIST_MS;
+    lruSet(obj, key, restamp ? { ...entry, usedAt: now } : entry);
+    return restamp;
+}
+function lruTrim(obj, max) {
+    const keys = Object.keys(obj);
+    const evicted = keys.slice(0, Math.max(0, keys.length - max));
+    for (const key of evicted) delete obj[key];
+    return evicted;
 }
 
 /*
-    Function: getTokenFromStorage
+    Function: trimCaches
 
     Purpose
-    Read OAuth token from chrome.storage.local.
+    Cap the handle cache, the per-channel cache and the negative verification history, keeping the most
+    recently used entries.
 
     Inputs
-    - None
+    - scale: fraction of the configured caps to keep (1 normally, STORAGE_EMERGENCY_SCALE near quota)
 
     Outputs
-    - Promise<object|null>
+    - number entries evicted
 */
-async function getTokenFromStorage() {
-    // Fetch the token record; default to null.
-    return new Promise(resolve => {
-        chrome.storage.local.get([TOKEN_KEY], data => resolve(data[TOKEN_KEY] || null));
-    });
+function trimCaches(scale) {
+    const handles = lruTrim(handleToChannelCache, Math.floor(HANDLE_CACHE_MAX * scale));
+    const channels = lruTrim(cache, Math.floor(CHANNEL_CACHE_MAX * scale));
+    for (const key of handles) addDirty("handle", key);
+    const verified = lruTrim(lastNegativeVerifyAt, Math.floor(VERIFY_HISTORY_MAX * scale));
+    for (const key of channels) addDirty("channel", key);
+    for (const key of verified) addDirty("verify", key);
+    return handles.length + channels.length + verified.length;
 }
 
 /*
-    Function: setTokenInStorage
+    Function: evictExpired
 
     Purpose
-    Persist OAuth token object.
+    Drop entries that can no longer answer anything: negative resolutions past NEGATIVE_CACHE_TTL_MS,
+    per-channel results past ONE_HOUR_MS, and verification times past VERIFY_NEG_TTL_MS.
 
     Inputs
-    - token: object with { access_token, expiry_date }
+    - None
 
     Outputs
-    - Promise<void>
+    - number entries evicted
 */
-async function setTokenInStorage(token) {
-    // Write token to storage under a single key.
-    return new Promise(resolve => chrome.storage.local.set({ [TOKEN_KEY]: token }, () => resolve()));
+function evictExpired() {
+    const now = Date.now();
+    let evicted = 0;
+    for (const [key, entry] of Object.entries(handleToChannelCache)) {
+        if (entry && typeof entry === "object" && entry._neg && now - entry.ts > NEGATIVE_CACHE_TTL_MS) {
+            delete handleToChannelCache[key];
+            addDirty("handle", key);
+            evicted += 1;
+        }
+    }
+    for (const [channelId, entry] of Object.entries(cache)) {
+        if (!entry || now - (entry.updatedAt || 0) >= ONE_HOUR_MS) {
+            delete cache[channelId];
+            addDirty("channel", channelId);
+            evicted += 1;
+        }
+    }
+    for (const [channelId, ts] of Object.entries(lastNegativeVerifyAt)) {
+        if (now - ts >= VERIFY_NEG_TTL_MS) {
+            delete lastNegativeVerifyAt[channelId];
+            addDirty("verify", channelId);
+            evicted += 1;
+        }
+    }
+    return evicted;
 }
 
 /*
-    Function: clearToken
+    Function: checkStorageUsage
 
     Purpose
-    Remove the persisted OAuth token.
+    Sample chrome.storage.local usage against its quota (throttled unless forced); runs inside the
+    flushPersist chain. Past STORAGE_EVICT_RATIO, expired entries are dropped, the caches are cut to
+    STORAGE_EMERGENCY_SCALE of their caps and the affected shards rewritten; if usage is still past
+    STORAGE_WARN_RATIO, or the write still fails, the failure is recorded for the popup.
 
     Inputs
-    - None
+    - force: boolean; sample even if the last sample is recent and evict regardless of usage (a write
+      just hit the quota)
 
     Outputs
-    - Promise<void>
+    - Promise<{ bytes, quota, checkedAt }>
 */
-async function clearToken() {
-    // Delete token key for a clean re-auth.
-    return new Promise(resolve => chrome.storage.local.remove([TOKEN_KEY], () => resolve()));
+async function checkStorageUsage(force) {
+    // Throttle sampling; getBytesInUse walks all of storage.
+    const now = Date.now();
+    if (!force && now - storageUsage.checkedAt < STORAGE_CHECK_INTERVAL_MS) return storageUsage;
+    storageUsage.checkedAt = now;
+    const quota = chrome.storage.local.QUOTA_BYTES || STORAGE_QUOTA_FALLBACK;
+    let bytes = await chrome.storage.local.getBytesInUse(null);
+
+    // Evict first, then re-measure.
+    let writeError = null;
+    if (force || bytes / quota >= STORAGE_EVICT_RATIO) {
+        const evicted = evictExpired() + trimCaches(STORAGE_EMERGENCY_SCALE);
+        writeError = await writeDirtyShards();
+        logger.warn("storage near quota; evicted cache entries", evicted, "bytes", bytes, "/", quota);
+        bytes = await chrome.storage.local.getBytesInUse(null);
+    }
+    storageUsage = { bytes, quota, checkedAt: now };
+
+    // Warn when eviction was not enough.
+    if (writeError || bytes / quota >= STORAGE_WARN_RATIO) {
+        recordError("storage", writeError || `local storage ${Math.round((bytes / quota) * 100)}% full`);
+        logger.warn("storage still near quota", bytes, "/", quota, writeError || "");
+    }
+    return storageUsage;
 }
 
 /*
-    Function: buildAuthUrl
+    Function: recordError
 
     Purpose
-    Construct the Google OAuth implicit flow URL.
+    Remember the most recent user-visible failure so the popup can surface it.
 
     Inputs
-    - promptType: optional prompt parameter (e.g., "consent")
+    - context: string short description of the failing operation
+    - e: Error|string
 
     Outputs
-    - string URL
+    - void
 */
-function buildAuthUrl(promptType) {
-    // Encode OAuth params and append optional prompt.
-    const params = new URLSearchParams({
-        response_type: "token",
-        client_id: CLIENT_ID,
-        redirect_uri: REDIRECT_URI,
-        scope: SCOPES.join(" ")
-    });
-    if (promptType) params.set("prompt", promptType);
-    return `https://accounts.google.com/o/oauth2/v2/auth?${params}`;
+function recordError(context, e) {
+    // Keep only the latest failure with a timestamp.
+    lastError = { context, message: String(e?.message || e), at: Date.now() };
 }
 
 /*
-    Function: fetchToken
+    Function: isSubsIndexStale
 
     Purpose
-    Launch OAuth flow, parse returned token, and persist it.
+    Determine if the subscriptions index TTL has expired.
 
     Inputs
-    - interactive: boolean to allow UI
-    - promptType: string for prompt behavior
+    - None
 
     Outputs
-    - Promise<object> token object
+    - boolean
 */
-async function fetchToken(interactive, promptType) {
-    // Build the auth URL once.
-    const authUrl = buildAuthUrl(promptType);
-
-    // Launch the flow and parse token from the redirect fragment.
-    return new Promise((resolve, reject) => {
-        chrome.identity.launchWebAuthFlow({ url: authUrl, interactive }, async redirectUrl => {
-            if (chrome.runtime.lastError || !redirectUrl) {
-                return reject(chrome.runtime.lastError || new Error("no redirect url"));
-            }
-            const fragments = redirectUrl.split("#")[1];
-            if (!fragments) return reject(new Error("no fragment in redirect url"));
-            const params = new URLSearchParams(fragments);
-            const access_token = params.get("access_token");
-            const expires_in = parseInt(params.get("expires_in"), 10);
-            if (!access_token) return reject(new Error("no access token found"));
-
-            // Persist token with absolute expiry.
-            const tokenObj = { access_token, expiry_date: Date.now() + expires_in * 1000 };
-            await setTokenInStorage(tokenObj);
-            resolve(tokenObj);
-        });
-    });
+function isSubsIndexStale() {
+    // Compare current time against last updated timestamp.
+    return !subsIndex.updatedAt || Date.now() - subsIndex.updatedAt > SUB_LIST_TTL_MS;
 }
 
 /*
-    Function: getValidToken
+    Function: toSubscriptionRecord
 
     Purpose
-    Return a non-expired token or null.
+    Reduce a subscriptions API item to the fields kept in the index.
 
     Inputs
-    - None
+    - item: subscription resource with snippet
 
     Outputs
-    - Promise<object|null>
+    - { channelId, title, thumbnails, subscribedAt, subscriptionId } | null
 */
-async function getValidToken() {
-    // Read token and check expiry.
-    const token = await getTokenFromStorage();
-    if (token && token.expiry_date > Date.now()) return token;
-    return null;
+function toSubscriptionRecord(item) {
+    // Require a UC id; keep only small thumbnail URLs to bound storage.
+    const sn = item?.snippet || {};
+    const channelId = sn.resourceId?.channelId;
+    if (!channelId || !channelId.startsWith("UC")) return null;
+    const thumbs = sn.thumbnails || {};
+    return {
+        channelId,
+        title: sn.title || "",
+        thumbnails: {
+            default: thumbs.default?.url || "",
+            medium: thumbs.medium?.url || ""
+        },
+        subscribedAt: sn.publishedAt ? Date.parse(sn.publishedAt) || 0 : 0,
+        subscriptionId: item.id || ""
+    };
 }
 
 /*
-    Function: ensureSubsIndexFresh
+    Function: setSubsIndex
 
     Purpose
-    Refresh the user's subscriptions index via YouTube Data API paging under TTL or force.
+    Replace an identity's subscriptions index with de-duplicated records, their id list, and a timestamp.
+    Handles learned by seedHandleCache carry over for channels that are still subscribed.
 
     Inputs
-    - force: boolean to ignore TTL
+    - records: subscription records from toSubscriptionRecord
+    - id: string identity channel id the list belongs to
+    - probe: { etag, totalResults } from the first page, used by later staleness probes
 
     Outputs
-    - Promise<boolean> true on successful refresh
+    - Promise<void>
 */
-async function ensureSubsIndexFresh(force = false) {
-    // Prevent concurrent runs and skip if fresh unless forced.
-    if (syncing) {
-        logger.info("subscriptions refresh already running");
-        return false;
+async function setSubsIndex(records, id, probe = {}) {
+    // Stamp updated time and remove duplicates; ids stays the membership list.
+    const byId = {};
+    for (const r of records) byId[r.channelId] = r;
+    const now = Date.now();
+    const next = { updatedAt: now, checkedAt: now, fullSyncedAt: now, ids: Object.keys(byId), records: byId, etag: probe.etag || "", totalResults: probe.totalResults || 0 };
+
+    // Diff against the persisted index; the very first sync is a baseline, not a change.
+    const key = identityKey(SUBS_INDEX_KEY, id);
+    const prev = (await storageGet([key]))[key];
+    for (const cid of next.ids) {
+        const handle = prev?.records?.[cid]?.handle;
+        if (handle !== undefined) byId[cid].handle = handle;
     }
-    if (!force && !isSubsIndexStale()) {
-        logger.debug("subscriptions index fresh");
-        return false;
+    if (prev && prev.updatedAt && Array.isArray(prev.ids)) {
+        const before = new Set(prev.ids);
+        const added = next.ids.filter(cid => !before.has(cid)).map(cid => ({ channelId: cid, title: byId[cid].title }));
+        const removed = prev.ids.filter(cid => !byId[cid]).map(cid => ({ channelId: cid, title: prev.records?.[cid]?.title || "" }));
+        await appendChangeLog(id, added, removed, "sync");
     }
 
-    // Require a valid token to proceed.
-    const token = await getValidToken();
-    if (!token) {
-        logger.warn("no valid token; sign in to load subscriptions");
-        return false;
-    }
+    // Swap in memory only if the identity is still active; always persist under its own key.
+    if (id === activeId) subsIndex = next;
+    await storageSet({ [key]: next });
+}
 
-    // Iterate over paginated results to collect all UC IDs.
-    syncing = true;
-    logger.info("subscriptions refresh started");
-    try {
-        const allIds = [];
-        let pageToken = "";
-        let pages = 0;
-        const fields = "nextPageToken,items(snippet/resourceId/channelId)";
-        const base = `https://www.googleapis.com/youtube/v3/subscriptions?part=snippet&mine=true&maxResults=${SUB_LIST_BATCH}&fields=${encodeURIComponent(fields)}`;
-
-        while (true) {
-            // Request next page and handle authorization problems.
-            const url = pageToken ? `${base}&pageToken=${pageToken}` : base;
-            const resp = await fetchWithTimeout(url, { headers: { Authorization: `Bearer ${token.access_token}` } }, 15000);
-            if (!resp.ok) {
-                if (resp.status === 401) {
-                    await clearToken();
-                    throw new Error("token expired");
-                }
-                throw new Error(`subscriptions api ${resp.status} ${resp.statusText}`);
-            }
+/*
+    Function: appendChangeLog
 
-            // Append channel IDs from this page.
-            const data = await resp.json();
-            pages += 1;
-            if (Array.isArray(data.items)) {
-                for (const it of data.items) {
-                    const id = it?.snippet?.resourceId?.channelId;
-                    if (id && id.startsWith("UC")) allIds.push(id);
-                }
-            }
+    Purpose
+    Record subscriptions added/removed for an identity in its bounded, timestamped change history.
 
-            // Emit progress and continue if more pages exist.
-            logger.heartbeat("subs-progress", () => ["pages", pages, "accum", allIds.length]);
-            if (data.nextPageToken) {
-                pageToken = data.nextPageToken;
-            } else {
-                break;
-            }
-        }
+    Inputs
+    - id: string identity channel id
+    - added: { channelId, title }[]
+    - removed: { channelId, title }[]
+    - source: "sync" | "verify" describing what detected the change
 
-        // Deduplicate and persist the final index.
-        await setSubsIndex(allIds);
-        logger.info("subscriptions synced", allIds.length);
-        return true;
-    } catch (e) {
-        // Surface failure without throwing through the bus.
-        logger.error("subscriptions refresh failed", e?.message || e);
-        return false;
-    } finally {
-        // Always clear the syncing flag.
-        syncing = false;
-    }
+    Outputs
+    - Promise<void>
+*/
+async function appendChangeLog(id, added, removed, source) {
+    // Skip empty diffs so the history only holds real changes.
+    if (!added.length && !removed.length) return;
+    const key = identityKey(CHANGE_LOG_KEY, id);
+    const log = (await storageGet([key]))[key] || [];
+    log.push({ ts: Date.now(), source, added, removed });
+
+    // Keep only the newest entries.
+    const bounded = log.length > CHANGE_LOG_MAX_ENTRIES ? log.slice(-CHANGE_LOG_MAX_ENTRIES) : log;
+    await storageSet({ [key]: bounded });
+    logger.info("subscription changes", id, "+" + added.length, "-" + removed.length);
 }
 
 /*
-    Function: findKeyInObject
+    Function: summarizeChanges
 
     Purpose
-    Recursively search an object graph for a key with a string value passing an optional validator.
+    Fold change-log entries newer than a timestamp into net added/removed lists.
 
     Inputs
-    - obj: object to search
-    - keyToFind: string key name
-    - validateFn: function(string) => boolean (optional)
+    - log: change-log entries in chronological order
+    - since: number epoch milliseconds (exclusive)
 
     Outputs
-    - string|null value found
+    - { since, entries, added: { channelId, title, ts }[], removed: { channelId, title, ts }[] }
 */
-function findKeyInObject(obj, keyToFind, validateFn) {
-    // If not an object, stop search.
-    if (typeof obj !== "object" || obj === null) return null;
-
-    // Iterate own properties, check match or recurse into child objects.
-    for (const key in obj) {
-        if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
-        const value = obj[key];
-        if (key === keyToFind && typeof value === "string" && (!validateFn || validateFn(value))) {
-            return value;
+function summarizeChanges(log, since) {
+    // Replay in order so an add followed by a remove cancels out (and vice versa).
+    const entries = log.filter(e => e.ts > since);
+    const added = new Map();
+    const removed = new Map();
+    for (const e of entries) {
+        for (const c of e.added) {
+            if (removed.has(c.channelId)) removed.delete(c.channelId); else added.set(c.channelId, { ...c, ts: e.ts });
         }
-        if (typeof value === "object" && value !== null) {
-            const result = findKeyInObject(value, keyToFind, validateFn);
-            if (result) return result;
+        for (const c of e.removed) {
+            if (added.has(c.channelId)) added.delete(c.channelId); else removed.set(c.channelId, { ...c, ts: e.ts });
         }
     }
-    return null;
+    return { since, entries, added: [...added.values()], removed: [...removed.values()] };
 }
 
 /*
-    Function: extractChannelIdFromHtml
+    Function: isSyncing
 
     Purpose
-    Extract the canonical UC channel id from raw YouTube channel HTML using layered heuristics.
+    Report whether a subscriptions sync is running for an identity.
 
     Inputs
-    - html: string of HTML content
+    - id: string identity channel id (defaults to the active identity)
 
     Outputs
-    - string|null UC id
+    - boolean
 */
-function extractChannelIdFromHtml(html) {
-    // Preferred: ytInitialData metadata.channelMetadataRenderer.channelId.
-    try {
-        const initialMatch = html.match(/ytInitialData\s*=\s*({.*?});/s);
-        if (initialMatch) {
-            const j = JSON.parse(initialMatch[1]);
-            const meta = j && j.metadata && j.metadata.channelMetadataRenderer && j.metadata.channelMetadataRenderer.channelId;
-            if (typeof meta === "string" && /^UC[0-9A-Za-z_-]{22}$/.test(meta)) return meta;
-
-            // Fallback: microformat canonical channel URL.
-            const canon = j && j.microformat && j.microformat.microformatDataRenderer && j.microformat.microformatDataRenderer.urlCanonical;
-            if (typeof canon === "string") {
-                const m = canon.match(/\/channel\/(UC[0-9A-Za-z_-]{22})/);
-                if (m) return m[1];
-            }
+function isSyncing(id = activeId) {
+    return !!id && syncInFlight.has(id);
+}
+
+/*
+    Function: subsSet
+
+    Purpose
+    Expose a Set view of the current subscription IDs.
+
+    Inputs
+    - None
+
+    Outputs
+    - Set<string>
+*/
+function subsSet() {
+    // Rebuild the Set only when the id list was replaced or appended to.
+    const ids = subsIndex.ids;
+    if (subsSetCache.ids !== ids || subsSetCache.size !== ids.length) {
+        subsSetCache = { ids, size: ids.length, set: new Set(ids) };
+    }
+    return subsSetCache.set;
+}
+
+/*
+    Function: getSubscriptionRecord
+
+    Purpose
+    Look up the stored record for a subscribed channel in the active index.
+
+    Inputs
+    - channelId: string UC id
+
+    Outputs
+    - object|null
+*/
+function getSubscriptionRecord(channelId) {
+    return (subsIndex.records && subsIndex.records[channelId]) || null;
+}
+
+/*
+    Function: refillPcTokens
+
+    Purpose
+    Refill the per-channel token bucket on interval.
+
+    Inputs
+    - None
+
+    Outputs
+    - void
+*/
+function refillPcTokens() {
+    // If interval elapsed, refill and move the window.
+    const now = Date.now();
+    if (now - pcLastRefill >= PC_BUDGET_REFILL_MS) {
+        pcTokens = PC_BUDGET_MAX;
+        pcLastRefill = now;
+    }
+}
+
+/*
+    Function: consumePcToken
+
+    Purpose
+    Attempt to consume a per-channel token; the bucket is persisted so a worker restart does not refill it.
+
+    Inputs
+    - None
+
+    Outputs
+    - boolean
+*/
+function consumePcToken() {
+    // Ensure tokens are current, then spend if available.
+    refillPcTokens();
+    if (pcTokens > 0) {
+        pcTokens -= 1;
+        markDirty("budgets");
+        return true;
+    }
+    return false;
+}
+
+/*
+    Function: refillVerifyTokens
+
+    Purpose
+    Refill the negative-verification token bucket on interval.
+
+    Inputs
+    - None
+
+    Outputs
+    - void
+*/
+function refillVerifyTokens() {
+    // If interval elapsed, refill and move the window.
+    const now = Date.now();
+    if (now - verifyLastRefill >= VERIFY_BUDGET_REFILL_MS) {
+        verifyTokens = VERIFY_BUDGET_MAX;
+        verifyLastRefill = now;
+    }
+}
+
+/*
+    Function: consumeVerifyToken
+
+    Purpose
+    Attempt to consume a verification token; the bucket is persisted so a worker restart does not refill it.
+
+    Inputs
+    - None
+
+    Outputs
+    - boolean
+*/
+function consumeVerifyToken() {
+    // Ensure tokens are current, then spend if available.
+    refillVerifyTokens();
+    if (verifyTokens > 0) {
+        verifyTokens -= 1;
+        markDirty("budgets");
+        return true;
+    }
+    return false;
+}
+
+/*
+    Function: acquireFetchSlot / releaseFetchSlot
+
+    Purpose
+    Global concurrency pool for network fetches. Waiters whose priority is (or becomes) foreground
+    are served before the rest; otherwise first come, first served.
+
+    Inputs
+    - priority: { foreground: boolean } (may be upgraded while waiting)
+
+    Outputs
+    - Promise<void> resolved once a slot is held | void
+*/
+function acquireFetchSlot(priority) {
+    // Take a free slot immediately, else queue.
+    if (fetchPool.active < FETCH_CONCURRENCY) {
+        fetchPool.active += 1;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => fetchPool.queue.push({ priority, resolve }));
+}
+function releaseFetchSlot() {
+    // Hand the slot straight to the next waiter, foreground first.
+    const i = fetchPool.queue.findIndex(w => w.priority.foreground);
+    const next = fetchPool.queue.splice(i >= 0 ? i : 0, 1)[0];
+    if (next) next.resolve();
+    else fetchPool.active -= 1;
+}
+
+/*
+    Function: fetchWithTimeout
+
+    Purpose
+    Perform a fetch and read its body inside the global fetch pool, under one abort controller
+    timeout. The slot and the timer are held until read settles, so the pool bounds concurrent
+    downloads and a stalled body is aborted like a stalled request.
+
+    Inputs
+    - url: string
+    - opts: RequestInit
+    - timeoutMs: number covering the request and the body read
+    - priority: { foreground: boolean } pool priority
+    - read: async function(Response) consuming (or cancelling) the body; its result is returned
+
+    Outputs
+    - Promise<any> result of read
+*/
+async function fetchWithTimeout(url, opts, timeoutMs, priority, read) {
+    // Wait for a pool slot; the timeout starts once the request does.
+    await acquireFetchSlot(priority);
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), timeoutMs);
+
+    // Run fetch with signal and follow redirects, read the body; always clear timer and free the slot.
+    try {
+        const resp = await fetch(url, { ...opts, signal: controller.signal, redirect: "follow" });
+        return await read(resp);
+    } finally {
+        clearTimeout(id);
+        releaseFetchSlot();
+    }
+}
+
+/*
+    Function: nextQuotaResetAt
+
+    Purpose
+    Compute when the YouTube Data API daily quota resets (midnight Pacific Time).
+
+    Inputs
+    - now: number epoch milliseconds
+
+    Outputs
+    - number epoch milliseconds of the next reset
+*/
+function nextQuotaResetAt(now = Date.now()) {
+    // Read the Pacific wall clock and step to the next midnight; DST days may be off by an hour.
+    const parts = {};
+    const fmt = new Intl.DateTimeFormat("en-US", { timeZone: "America/Los_Angeles", hourCycle: "h23", hour: "numeric", minute: "numeric", second: "numeric" });
+    for (const p of fmt.formatToParts(new Date(now))) parts[p.type] = Number(p.value);
+    const sinceMidnight = ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000 + (now % 1000);
+    return now - sinceMidnight + 24 * ONE_HOUR_MS;
+}
+
+/*
+    Function: isApiPaused
+
+    Purpose
+    Tell whether API traffic is suspended because the daily quota is exhausted.
+
+    Inputs
+    - None
+
+    Outputs
+    - boolean
+*/
+function isApiPaused() {
+    return !!apiPause && apiPause.until > Date.now();
+}
+
+/*
+    Function: pauseApiForQuota
+
+    Purpose
+    Suspend all YouTube Data API calls until the quota day resets, persist that across worker
+    restarts, and surface it to the popup and badge.
+
+    Inputs
+    - reason: string API error reason (e.g., "quotaExceeded")
+
+    Outputs
+    - Promise<void>
+*/
+async function pauseApiForQuota(reason) {
+    // Keep an existing pause; the reset time does not move.
+    if (isApiPaused()) return;
+    apiPause = { until: nextQuotaResetAt(), reason, at: Date.now() };
+    logger.warn("API quota exhausted; pausing API calls until", new Date(apiPause.until).toISOString());
+    await storageSet({ [API_PAUSE_KEY]: apiPause });
+    chrome.alarms.create(API_RESUME_ALARM, { when: apiPause.until });
+    await updateBadge();
+}
+
+/*
+    Code Block: Quota Resume Alarm
+
+    Purpose
+    Lift the quota pause when the quota day resets and catch up on a stale index.
+
+    Inputs
+    - chrome.alarms event named API_RESUME_ALARM
+
+    Outputs
+    - None (side effects: pause cleared, badge updated, sync started if stale)
+*/
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name !== API_RESUME_ALARM) return;
+    void hydrated.then(async () => {
+        apiPause = null;
+        await storageRemove([API_PAUSE_KEY]);
+        await updateBadge();
+        logger.info("API quota reset; resuming API calls");
+        if (isSubsIndexStale()) void ensureSubsIndexFresh(false);
+    });
+});
+
+/*
+    Function: quotaDay
+
+    Purpose
+    Name the quota day a timestamp falls in (Pacific Time, matching the API's reset).
+
+    Inputs
+    - now: number epoch milliseconds
+
+    Outputs
+    - string "YYYY-MM-DD"
+*/
+function quotaDay(now = Date.now()) {
+    // en-CA formats dates as YYYY-MM-DD.
+    return new Intl.DateTimeFormat("en-CA", { timeZone: "America/Los_Angeles", year: "numeric", month: "2-digit", day: "2-digit" }).format(new Date(now));
+}
+
+/*
+    Function: ledgerToday
+
+    Purpose
+    Return today's ledger entry, creating it (and pruning old days) on the first call of a new day.
+
+    Inputs
+    - None
+
+    Outputs
+    - { total, categories: { [cat]: { units, calls } }, endpoints: { [endpoint]: { units, calls } } }
+*/
+function ledgerToday() {
+    // Start a fresh day and keep only the most recent QUOTA_LEDGER_DAYS.
+    const day = quotaDay();
+    if (!quotaLedger[day]) {
+        quotaLedger[day] = { total: 0, categories: {}, endpoints: {} };
+        const days = Object.keys(quotaLedger).sort();
+        for (const old of days.slice(0, Math.max(0, days.length - QUOTA_LEDGER_DAYS))) delete quotaLedger[old];
+    }
+    return quotaLedger[day];
+}
+
+/*
+    Function: checkQuotaCap
+
+    Purpose
+    Refuse a call that would take its category past the configured daily cap.
+
+    Inputs
+    - category: string ledger category
+    - cost: number units the call would spend
+
+    Outputs
+    - void; throws an apiError with reason "dailyCap"
+*/
+function checkQuotaCap(category, cost) {
+    // Uncapped categories pass; a cap of 0 disables the category.
+    const cap = QUOTA_CAPS[category];
+    if (cap === undefined) return;
+    const spent = ledgerToday().categories[category]?.units || 0;
+    if (spent + cost > cap) {
+        throw apiError(0, "dailyCap", `${category} daily cap reached (${spent}/${cap} units)`);
+    }
+}
+
+/*
+    Function: chargeQuota
+
+    Purpose
+    Record the units a sent request cost by category and endpoint, and persist the ledger.
+
+    Inputs
+    - category: string ledger category
+    - endpoint: string API resource (e.g., "subscriptions")
+    - cost: number units
+
+    Outputs
+    - Promise<void>
+*/
+async function chargeQuota(category, endpoint, cost) {
+    // Add to the day total and both breakdowns.
+    const today = ledgerToday();
+    today.total += cost;
+    for (const [bucket, name] of [[today.categories, category], [today.endpoints, endpoint]]) {
+        const row = bucket[name] || (bucket[name] = { units: 0, calls: 0 });
+        row.units += cost;
+        row.calls += 1;
+    }
+    await storageSet({ [QUOTA_LEDGER_KEY]: quotaLedger });
+}
+
+/*
+    Function: apiError
+
+    Purpose
+    Build an Error carrying the HTTP status and YouTube error reason of a failed API call.
+
+    Inputs
+    - status: number HTTP status (0 when no request was made)
+    - reason: string API error reason or local code
+    - message: string
+
+    Outputs
+    - Error with { status, reason }
+*/
+function apiError(status, reason, message) {
+    const err = new Error(message);
+    err.status = status;
+    err.reason = reason;
+    return err;
+}
+
+/*
+    Function: retryDelayMs
+
+    Purpose
+    Pick the wait before a retry: Retry-After when the server sends one, else exponential backoff
+    with jitter, capped at API_BACKOFF_MAX_MS.
+
+    Inputs
+    - resp: Response|null
+    - attempt: number zero-based attempt that just failed
+
+    Outputs
+    - number milliseconds
+*/
+function retryDelayMs(resp, attempt) {
+    // Retry-After is either delta-seconds or an HTTP date.
+    const header = resp?.headers?.get("Retry-After");
+    if (header) {
+        const secs = Number(header);
+        const ms = Number.isFinite(secs) ? secs * 1000 : Date.parse(header) - Date.now();
+        if (Number.isFinite(ms) && ms >= 0) return Math.min(ms, API_BACKOFF_MAX_MS);
+    }
+    const base = API_BACKOFF_BASE_MS * 2 ** attempt;
+    return Math.min(base + Math.floor(Math.random() * base / 2), API_BACKOFF_MAX_MS);
+}
+
+/*
+    Function: apiFetch
+
+    Purpose
+    Shared client for every YouTube Data API call. Classifies failures: 401 clears the identity's
+    token; 403 quotaExceeded/dailyLimitExceeded pauses all API traffic until the quota resets;
+    403 rate limits, 429, 5xx and network errors are retried with backoff (honoring Retry-After).
+    Every request that reaches the server is charged to the daily ledger under its category.
+
+    Inputs
+    - url: string full API URL
+    - opts: { category, token?, id?, headers?, timeoutMs?, priority? }; category is the ledger/cap bucket
+      ("sync" | "perChannel" | "verify" | "search" | "resolve" | "identity"), token adds the bearer header,
+      id owns the token, priority is the fetch-pool priority
+
+    Outputs
+    - Promise<{ notModified: boolean, status: number, etag: string, data: object|null }>
+      throws an apiError on failure
+*/
+async function apiFetch(url, { category, token, id = activeId, headers = {}, timeoutMs = 10000, priority = BACKGROUND_PRIORITY } = {}) {
+    // Refuse early while the quota pause is active.
+    if (isApiPaused()) {
+        throw apiError(0, "quotaPaused", `API paused until ${new Date(apiPause.until).toISOString()}`);
+    }
+    const allHeaders = token ? { ...headers, Authorization: `Bearer ${token.access_token}` } : headers;
+    const endpoint = url.replace(/^https:\/\/www\.googleapis\.com\/youtube\/v3\//, "").split("?")[0];
+    const cost = API_UNIT_COST[endpoint] ?? 1;
+
+    let lastErr = null;
+    for (let attempt = 0; attempt < API_MAX_ATTEMPTS; attempt++) {
+        // Each attempt is checked against the category cap; retries spend units too.
+        checkQuotaCap(category, cost);
+
+        // Network failures and timeouts (including a stalled body) are retryable.
+        let resp = null;
+        let text = "";
+        try {
+            ({ resp, text } = await fetchWithTimeout(url, { headers: allHeaders }, timeoutMs, priority, async r => ({ resp: r, text: await r.text() })));
+        } catch (e) {
+            lastErr = apiError(0, e?.name === "AbortError" ? "timeout" : "network", `${endpoint}: ${e?.message || e}`);
+        }
+
+        if (resp) {
+            await chargeQuota(category, endpoint, cost);
+
+            // Success paths.
+            if (resp.status === 304) return { notModified: true, status: 304, etag: resp.headers.get("ETag") || "", data: null };
+            if (resp.ok) {
+                const data = JSON.parse(text);
+                return { notModified: false, status: resp.status, etag: resp.headers.get("ETag") || data?.etag || "", data };
+            }
+
+            // Pull the structured reason out of the error body when there is one.
+            let body = null;
+            try {
+                body = JSON.parse(text);
+            } catch {}
+            const reason = body?.error?.errors?.[0]?.reason || "";
+            const message = `${endpoint} ${resp.status} ${reason || resp.statusText}`;
+
+            // Non-retryable classes.
+            if (resp.status === 401) {
+                if (token && id) await clearToken(id);
+                throw apiError(401, reason || "unauthorized", "token expired");
+            }
+            if (resp.status === 403 && (reason === "quotaExceeded" || reason === "dailyLimitExceeded")) {
+                await pauseApiForQuota(reason);
+                throw apiError(403, reason, message);
+            }
+            const retryable = resp.status === 429 || resp.status >= 500 ||
+                (resp.status === 403 && (reason === "rateLimitExceeded" || reason === "userRateLimitExceeded"));
+            if (!retryable) throw apiError(resp.status, reason, message);
+            lastErr = apiError(resp.status, reason, message);
+        }
+
+        // Back off before the next attempt.
+        if (attempt + 1 < API_MAX_ATTEMPTS) {
+            const wait = retryDelayMs(resp, attempt);
+            logger.warn("API call failed; retrying", lastErr.message, "in", wait, "ms");
+            await new Promise(r => setTimeout(r, wait));
+        }
+    }
+    throw lastErr;
+}
+
+/*
+    Function: getTokenFromStorage
+
+    Purpose
+    Read an identity's OAuth token from chrome.storage.local.
+
+    Inputs
+    - id: string identity channel id (defaults to the active identity)
+
+    Outputs
+    - Promise<object|null>
+*/
+async function getTokenFromStorage(id = activeId) {
+    // Look the identity up in the token map; default to null.
+    if (!id) return null;
+    const data = await storageGet([TOKENS_KEY]);
+    const tokens = data[TOKENS_KEY] || {};
+    return tokens[id] || null;
+}
+
+/*
+    Function: setTokenInStorage
+
+    Purpose
+    Persist an identity's OAuth token object.
+
+    Inputs
+    - id: string identity channel id
+    - token: object with { access_token, expiry_date }
+
+    Outputs
+    - Promise<void>
+*/
+async function setTokenInStorage(id, token) {
+    // Read-modify-write the token map.
+    const data = await storageGet([TOKENS_KEY]);
+    const tokens = data[TOKENS_KEY] || {};
+    tokens[id] = token;
+    await storageSet({ [TOKENS_KEY]: tokens });
+}
+
+/*
+    Function: clearToken
+
+    Purpose
+    Remove an identity's persisted OAuth token.
+
+    Inputs
+    - id: string identity channel id (defaults to the active identity)
+
+    Outputs
+    - Promise<void>
+*/
+async function clearToken(id = activeId) {
+    // Drop the identity's entry for a clean re-auth.
+    if (!id) return;
+    const data = await storageGet([TOKENS_KEY]);
+    const tokens = data[TOKENS_KEY] || {};
+    delete tokens[id];
+    await storageSet({ [TOKENS_KEY]: tokens });
+}
+
+/*
+    Function: buildAuthUrl
+
+    Purpose
+    Construct the Google OAuth implicit flow URL.
+
+    Inputs
+    - promptType: optional prompt parameter (e.g., "consent", or "none" for silent renewal)
+
+    Outputs
+    - string URL
+*/
+function buildAuthUrl(promptType) {
+    // Encode OAuth params and append optional prompt.
+    const params = new URLSearchParams({
+        response_type: "token",
+        client_id: CLIENT_ID,
+        redirect_uri: REDIRECT_URI,
+        scope: SCOPES.join(" ")
+    });
+    if (promptType) params.set("prompt", promptType);
+    return `https://accounts.google.com/o/oauth2/v2/auth?${params}`;
+}
+
+/*
+    Function: launchAuthFlow
+
+    Purpose
+    Run the OAuth flow and parse the access token from the redirect, without persisting it.
+
+    Inputs
+    - interactive: boolean to allow UI
+    - promptType: string for prompt behavior
+
+    Outputs
+    - Promise<object> token object { access_token, expiry_date }
+*/
+async function launchAuthFlow(interactive, promptType) {
+    // Build the auth URL once.
+    const authUrl = buildAuthUrl(promptType);
+
+    // Launch the flow and parse token from the redirect fragment.
+    return new Promise((resolve, reject) => {
+        chrome.identity.launchWebAuthFlow({ url: authUrl, interactive }, redirectUrl => {
+            if (chrome.runtime.lastError || !redirectUrl) {
+                return reject(chrome.runtime.lastError || new Error("no redirect url"));
+            }
+            const fragments = redirectUrl.split("#")[1];
+            if (!fragments) return reject(new Error("no fragment in redirect url"));
+            const params = new URLSearchParams(fragments);
+            const oauthError = params.get("error");
+            if (oauthError) return reject(new Error(oauthError));
+            const access_token = params.get("access_token");
+            const expires_in = parseInt(params.get("expires_in"), 10);
+            if (!access_token) return reject(new Error("no access token found"));
+            resolve({ access_token, expiry_date: Date.now() + expires_in * 1000 });
+        });
+    });
+}
+
+/*
+    Function: fetchToken
+
+    Purpose
+    Launch OAuth flow, identify the YouTube channel the token belongs to, and persist it for that identity.
+
+    Inputs
+    - interactive: boolean to allow UI
+    - promptType: string for prompt behavior
+    - expectedId: optional identity the token must belong to (silent renewal)
+
+    Outputs
+    - Promise<{ token: object, identity: { channelId: string, title: string } }>
+*/
+async function fetchToken(interactive, promptType, expectedId) {
+    // Obtain a token, then ask YouTube which channel it speaks for.
+    const token = await launchAuthFlow(interactive, promptType);
+    const identity = await getCurrentIdentity(token);
+    if (!identity) throw new Error("no YouTube channel for this account");
+
+    // A silent flow may hand back another account's token; keep it only if that identity is known.
+    if (expectedId && identity.channelId !== expectedId) {
+        if (identities[identity.channelId]) await registerIdentity(identity, token);
+        throw new Error(`renewal returned a different channel (${identity.channelId})`);
+    }
+
+    // Persist under the identity and plan its renewal.
+    await registerIdentity(identity, token);
+    return { token, identity };
+}
+
+/*
+    Function: getValidToken
+
+    Purpose
+    Return a usable token for an identity, renewing it silently when it is missing or about to expire.
+
+    Inputs
+    - id: string identity channel id (defaults to the active identity)
+
+    Outputs
+    - Promise<object|null>
+*/
+async function getValidToken(id = activeId) {
+    // Fast path: token comfortably inside its lifetime.
+    if (!id) return null;
+    const token = await getTokenFromStorage(id);
+    if (token && token.expiry_date - Date.now() > RENEW_AHEAD_MS) return token;
+
+    // Near expiry or gone: try a silent renewal, else fall back to what is still valid.
+    const renewed = await renewTokenSilently(id, false);
+    if (renewed) return renewed;
+    if (token && token.expiry_date > Date.now()) return token;
+    return null;
+}
+
+/*
+    Function: updateBadge
+
+    Purpose
+    Reflect "needs sign-in" for the active identity, or an API quota pause, on the toolbar badge.
+
+    Inputs
+    - None
+
+    Outputs
+    - Promise<void>
+*/
+async function updateBadge() {
+    // Sign-in outranks the quota pause; clear the badge when neither applies.
+    const needs = !!(activeId && identities[activeId]?.needsSignIn);
+    const paused = isApiPaused();
+    try {
+        await chrome.action.setBadgeText({ text: needs ? "!" : paused ? "Q" : "" });
+        if (needs) await chrome.action.setBadgeBackgroundColor({ color: "#c5221f" });
+        else if (paused) await chrome.action.setBadgeBackgroundColor({ color: "#e37400" });
+    } catch {}
+}
+
+/*
+    Function: setIdentityState
+
+    Purpose
+    Merge fields into an identity record and persist the registry.
+
+    Inputs
+    - id: string identity channel id
+    - patch: partial identity record
+
+    Outputs
+    - Promise<void>
+*/
+async function setIdentityState(id, patch) {
+    // Ignore identities removed in the meantime.
+    if (!identities[id]) return;
+    identities[id] = { ...identities[id], ...patch };
+    await storageSet({ [IDENTITIES_KEY]: identities });
+    await updateBadge();
+}
+
+/*
+    Function: registerIdentity
+
+    Purpose
+    Add or refresh an identity with a new token, adopting pre-multi-account data for the first identity.
+
+    Inputs
+    - identity: { channelId, title }
+    - token: { access_token, expiry_date }
+
+    Outputs
+    - Promise<void>
+*/
+async function registerIdentity(identity, token) {
+    const id = identity.channelId;
+    const isFirst = Object.keys(identities).length === 0;
+
+    // Store the token and a healthy identity record.
+    await setTokenInStorage(id, token);
+    identities[id] = {
+        channelId: id,
+        title: identity.title || "",
+        addedAt: identities[id]?.addedAt || Date.now(),
+        needsSignIn: false,
+        reason: ""
+    };
+    await storageSet({ [IDENTITIES_KEY]: identities });
+
+    // The single-account layout almost certainly belonged to the first account signed in.
+    if (isFirst) {
+        const legacy = await storageGet([SUBS_INDEX_KEY, CHANNEL_CACHE_KEY]);
+        const moved = {};
+        if (legacy[SUBS_INDEX_KEY]) moved[identityKey(SUBS_INDEX_KEY, id)] = legacy[SUBS_INDEX_KEY];
+        if (legacy[CHANNEL_CACHE_KEY]) Object.assign(moved, shardValues(legacy[CHANNEL_CACHE_KEY], identityKey(CHANNEL_CACHE_KEY, id), CHANNEL_CACHE_SHARDS));
+        if (Object.keys(moved).length) {
+            await storageSet(moved);
+            await storageRemove([SUBS_INDEX_KEY, CHANNEL_CACHE_KEY]);
+            logger.info("adopted single-account caches for", id);
+        }
+    }
+
+    scheduleTokenRenewal(id, token);
+    await updateBadge();
+}
+
+/*
+    Function: loadIdentityCaches
+
+    Purpose
+    Load an identity's subscriptions index and per-channel cache into memory.
+
+    Inputs
+    - id: string identity channel id or null
+
+    Outputs
+    - Promise<void>
+*/
+async function loadIdentityCaches(id) {
+    // Reset to empty first so a missing identity never shows another's data.
+    cache = {};
+    subsIndex = { updatedAt: 0, ids: [], records: {} };
+    lastNegativeVerifyAt = {};
+    if (!id) return;
+
+    const pcKey = identityKey(CHANNEL_CACHE_KEY, id);
+    const verifyKey = identityKey(VERIFY_HISTORY_KEY, id);
+    const data = await storageGet([identityKey(SUBS_INDEX_KEY, id), ...shardKeys(pcKey, CHANNEL_CACHE_SHARDS), ...shardKeys(verifyKey, VERIFY_HISTORY_SHARDS)]);
+    const idx = data[identityKey(SUBS_INDEX_KEY, id)];
+    if (idx && Array.isArray(idx.ids)) subsIndex = { ...idx, records: idx.records && typeof idx.records === "object" ? idx.records : {} };
+    cache = loadShards(data, pcKey, CHANNEL_CACHE_SHARDS, e => e?.updatedAt || 0);
+    lastNegativeVerifyAt = loadShards(data, verifyKey, VERIFY_HISTORY_SHARDS, ts => (typeof ts === "number" ? ts : 0));
+    logger.info("identity caches loaded", id, subsIndex.ids.length, Object.keys(cache).length);
+}
+
+/*
+    Function: switchIdentity
+
+    Purpose
+    Make another known identity active, swapping in its caches without forcing a re-sync.
+
+    Inputs
+    - id: string identity channel id or null
+
+    Outputs
+    - Promise<boolean> true if the identity is now active
+*/
+async function switchIdentity(id) {
+    // Refuse unknown identities; no-op for the current one.
+    if (id && !identities[id]) return false;
+    if (id === activeId) return true;
+
+    // Flush the outgoing identity, then load the incoming one.
+    await flushPersist();
+    activeId = id || null;
+    await storageSet({ [ACTIVE_IDENTITY_KEY]: activeId });
+    await loadIdentityCaches(activeId);
+    await updateBadge();
+    logger.info("active identity", activeId);
+
+    // Only sync when the incoming index has aged past its TTL.
+    if (activeId && isSubsIndexStale()) void ensureSubsIndexFresh(false);
+    return true;
+}
+
+/*
+    Function: removeIdentity
+
+    Purpose
+    Sign an identity out: drop its token, renewal alarm, registry entry, and cached subscriptions.
+
+    Inputs
+    - id: string identity channel id
+
+    Outputs
+    - Promise<void>
+*/
+async function removeIdentity(id) {
+    if (!id) return;
+    await clearToken(id);
+    await chrome.alarms.clear(identityKey(AUTH_ALARM, id));
+    delete identities[id];
+    await storageSet({ [IDENTITIES_KEY]: identities });
+    if (id === activeId) {
+        // Pending writes for this identity would resurrect the keys removed below.
+        persistDirty.channel.clear();
+        persistDirty.verify.clear();
+        persistDirty.index = false;
+    }
+    const pcKey = identityKey(CHANNEL_CACHE_KEY, id);
+    const verifyKey = identityKey(VERIFY_HISTORY_KEY, id);
+    await storageRemove([
+        identityKey(SUBS_INDEX_KEY, id),
+        ...shardKeys(pcKey, CHANNEL_CACHE_SHARDS),
+        ...shardKeys(verifyKey, VERIFY_HISTORY_SHARDS),
+        identityKey(CHANGE_LOG_KEY, id)
+    ]);
+    await clearSyncCheckpoint(id);
+
+    // Fall back to any remaining identity, or to signed-out.
+    if (id === activeId) {
+        activeId = null;
+        const next = Object.keys(identities)[0] || null;
+        if (next) {
+            await switchIdentity(next);
+        } else {
+            await storageSet({ [ACTIVE_IDENTITY_KEY]: null });
+            await loadIdentityCaches(null);
+        }
+    }
+    await updateBadge();
+}
+
+/*
+    Function: scheduleTokenRenewal
+
+    Purpose
+    Arm an identity's renewal alarm shortly before its token expires.
+
+    Inputs
+    - id: string identity channel id
+    - token: { expiry_date }
+    - delayMs: optional explicit delay overriding the expiry-based time
+
+    Outputs
+    - void
+*/
+function scheduleTokenRenewal(id, token, delayMs) {
+    // chrome.alarms has a 30s minimum in packed extensions; never schedule in the past.
+    const at = typeof delayMs === "number" ? Date.now() + delayMs : (token?.expiry_date || 0) - RENEW_AHEAD_MS;
+    const when = Math.max(Date.now() + 30_000, at);
+    chrome.alarms.create(identityKey(AUTH_ALARM, id), { when });
+    logger.info("token renewal scheduled", id, new Date(when).toISOString());
+}
+
+/*
+    Function: ensureRenewalScheduled
+
+    Purpose
+    Make sure every known identity has a renewal alarm.
+
+    Inputs
+    - None
+
+    Outputs
+    - Promise<void>
+*/
+async function ensureRenewalScheduled() {
+    // Leave existing alarms alone; otherwise arm one from the stored token.
+    for (const id of Object.keys(identities)) {
+        const existing = await chrome.alarms.get(identityKey(AUTH_ALARM, id));
+        if (existing) continue;
+        const token = await getTokenFromStorage(id);
+        scheduleTokenRenewal(id, token, token ? undefined : 0);
+    }
+}
+
+/*
+    Function: renewTokenSilently
+
+    Purpose
+    Obtain a fresh token for an identity without UI via prompt=none, sharing one in-flight attempt per
+    identity. Only when renewal fails after the token has actually expired is the identity flagged as
+    needing sign-in.
+
+    Inputs
+    - id: string identity channel id
+    - fromAlarm: boolean; alarm-driven attempts bypass the retry throttle
+
+    Outputs
+    - Promise<object|null> new token or null
+*/
+async function renewTokenSilently(id, fromAlarm) {
+    // Coalesce concurrent callers onto one attempt. The attempt is registered before its body runs,
+    // so no second caller can slip past this check and start its own auth flow.
+    if (renewing.has(id)) return renewing.get(id);
+    const attempt = Promise.resolve().then(async () => {
+        try {
+            // Never renew for unknown identities; throttle opportunistic retries.
+            const record = identities[id];
+            if (!record) return null;
+            if (!fromAlarm && (record.needsSignIn || Date.now() - (lastRenewAttemptAt.get(id) || 0) < RENEW_RETRY_MS)) return null;
+            lastRenewAttemptAt.set(id, Date.now());
+
+            const { token } = await fetchToken(false, "none", id);
+            logger.info("token renewed silently", id);
+            return token;
+        } catch (e) {
+            // Keep using a still-valid token and retry soon; otherwise ask the user to sign in.
+            const current = await getTokenFromStorage(id);
+            const message = String(e?.message || e);
+            if (current && current.expiry_date > Date.now()) {
+                logger.warn("silent renewal failed; retrying", id, message);
+                scheduleTokenRenewal(id, current, RENEW_RETRY_MS);
+            } else {
+                logger.warn("silent renewal failed; sign-in required", id, message);
+                await setIdentityState(id, { needsSignIn: true, reason: message });
+                if (id === activeId) recordError("token renewal", e);
+                scheduleTokenRenewal(id, current, RENEW_FAILED_RETRY_MS);
+            }
+            return null;
+        } finally {
+            if (renewing.get(id) === attempt) renewing.delete(id);
+        }
+    });
+    renewing.set(id, attempt);
+    return attempt;
+}
+
+/*
+    Function: migrateLegacyAuth
+
+    Purpose
+    Convert the single-token layout (oauth_token / auth_state) into a registered identity.
+
+    Inputs
+    - legacyToken: object|null previously stored under LEGACY_TOKEN_KEY
+
+    Outputs
+    - Promise<void>
+*/
+async function migrateLegacyAuth(legacyToken) {
+    // Remove the old keys up front so a failure never loops.
+    await storageRemove([LEGACY_TOKEN_KEY, LEGACY_AUTH_STATE_KEY]);
+    try {
+        // Reuse the old token if still valid, else try a silent flow to learn who the user is.
+        const token = legacyToken && legacyToken.expiry_date > Date.now() ? legacyToken : await launchAuthFlow(false, "none");
+        const identity = await getCurrentIdentity(token);
+        if (!identity) throw new Error("no YouTube channel for legacy token");
+        await registerIdentity(identity, token);
+        await switchIdentity(identity.channelId);
+        logger.info("migrated single-account sign-in", identity.channelId);
+    } catch (e) {
+        // Legacy caches stay in place and are adopted at the next sign-in.
+        logger.warn("legacy sign-in migration failed; sign in again", e?.message || e);
+    }
+}
+
+/*
+    Code Block: Token Renewal Alarm
+
+    Purpose
+    Renew an identity's access token when its alarm fires, even if the worker was asleep.
+
+    Inputs
+    - chrome.alarms events named "<AUTH_ALARM>:<channelId>"
+
+    Outputs
+    - None (side effects: token refreshed, state updated)
+*/
+chrome.alarms.onAlarm.addListener(alarm => {
+    const prefix = `${AUTH_ALARM}:`;
+    if (!alarm.name.startsWith(prefix)) return;
+    const id = alarm.name.slice(prefix.length);
+    void hydrated.then(() => renewTokenSilently(id, true));
+});
+
+/*
+    Function: subsPageUrl
+
+    Purpose
+    Build the subscriptions.list URL used for both full paging and the staleness probe, so the probe's
+    ETag refers to exactly the first page a full sync reads.
+
+    Inputs
+    - pageToken: optional page token
+
+    Outputs
+    - string URL
+*/
+function subsPageUrl(pageToken) {
+    // Keep fields identical between probe and sync; pageInfo/totalResults feeds the probe comparison.
+    const fields = "etag,nextPageToken,pageInfo/totalResults,items(id,snippet(publishedAt,title,resourceId/channelId,thumbnails/default/url,thumbnails/medium/url))";
+    const base = `https://www.googleapis.com/youtube/v3/subscriptions?part=snippet&mine=true&maxResults=${SUB_LIST_BATCH}&fields=${encodeURIComponent(fields)}`;
+    return pageToken ? `${base}&pageToken=${pageToken}` : base;
+}
+
+/*
+    Function: fetchSubsPage
+
+    Purpose
+    Fetch one subscriptions page, optionally as a conditional request.
+
+    Inputs
+    - id: string identity channel id (for 401 handling)
+    - token: token object
+    - pageToken: optional page token
+    - etag: optional ETag for If-None-Match
+
+    Outputs
+    - Promise<{ notModified: true } | { notModified: false, etag: string, data: object }>
+*/
+async function fetchSubsPage(id, token, pageToken, etag) {
+    // Send the conditional header only when we have a validator; apiFetch handles 401 and retries.
+    const headers = etag ? { "If-None-Match": etag } : {};
+    const res = await apiFetch(subsPageUrl(pageToken), { category: "sync", token, id, headers, timeoutMs: 15000 });
+    if (res.notModified) return { notModified: true };
+    return { notModified: false, etag: res.etag, data: res.data };
+}
+
+/*
+    Function: probeSubsIndex
+
+    Purpose
+    Decide cheaply (one request) whether an identity's subscriptions changed since the last sync:
+    a 304 on the first page's ETag, or the same API-reported total as the last full sync with every
+    first-page channel already indexed.
+
+    Inputs
+    - id: string identity channel id
+    - token: token object
+    - index: the identity's current index
+
+    Outputs
+    - Promise<boolean> true if the index can be kept
+*/
+async function probeSubsIndex(id, token, index) {
+    // Without a prior sync there is nothing to compare against.
+    if (!index.updatedAt || !index.ids.length) return false;
+
+    const page = await fetchSubsPage(id, token, "", index.etag);
+    if (page.notModified) {
+        logger.info("probe: not modified", id);
+        return true;
+    }
+
+    // The API's own total (approximate, and counting channels the index skips) matches the one reported
+    // at the last full sync, and no unknown channel is on the first page: nothing worth re-paging.
+    const total = page.data?.pageInfo?.totalResults;
+    const known = new Set(index.ids);
+    const firstPage = (page.data.items || []).map(toSubscriptionRecord).filter(Boolean);
+    const unchanged = !!index.totalResults && total === index.totalResults && firstPage.every(r => known.has(r.channelId));
+    logger.info("probe", id, "total", total, "last sync total", index.totalResults, unchanged ? "unchanged" : "changed");
+    return unchanged;
+}
+
+/*
+    Function: markSubsIndexChecked
+
+    Purpose
+    Restart an identity's TTL after a probe confirmed its index is current.
+
+    Inputs
+    - id: string identity channel id
+
+    Outputs
+    - Promise<void>
+*/
+async function markSubsIndexChecked(id) {
+    // Touch both the persisted and (if active) in-memory copies.
+    const key = identityKey(SUBS_INDEX_KEY, id);
+    const stored = (await storageGet([key]))[key];
+    if (!stored) return;
+    const now = Date.now();
+    const next = { ...stored, updatedAt: now, checkedAt: now };
+    if (id === activeId) subsIndex = { ...subsIndex, updatedAt: now, checkedAt: now };
+    await storageSet({ [key]: next });
+}
+
+/*
+    Function: loadSyncCheckpoint
+
+    Purpose
+    Read an identity's persisted paging checkpoint, discarding one too old to resume safely.
+
+    Inputs
+    - id: string identity channel id
+
+    Outputs
+    - Promise<object|null> { startedAt, savedAt, pageToken, pages, records, etag, totalResults } or null;
+      records is reassembled from the per-page entries
+*/
+async function loadSyncCheckpoint(id) {
+    // Page tokens and partial lists drift; restart from page one once a checkpoint is old.
+    const key = identityKey(SYNC_CHECKPOINT_KEY, id);
+    const cp = (await storageGet([key]))[key];
+    if (!cp || !Number.isInteger(cp.pages)) return null;
+    if (Date.now() - (cp.savedAt || 0) > SYNC_CHECKPOINT_MAX_AGE_MS) {
+        logger.warn("discarding abandoned sync checkpoint", id, "pages", cp.pages);
+        await clearSyncCheckpoint(id);
+        return null;
+    }
+
+    // Every completed page must still be there; otherwise start over.
+    const pageKeys = checkpointPageKeys(id, cp.pages);
+    const pages = await storageGet(pageKeys);
+    if (pageKeys.some(k => !Array.isArray(pages[k]))) {
+        logger.warn("incomplete sync checkpoint; restarting", id);
+        await clearSyncCheckpoint(id);
+        return null;
+    }
+    return { ...cp, records: pageKeys.flatMap(k => pages[k]) };
+}
+
+/*
+    Function: checkpointPageKeys
+
+    Purpose
+    List the storage keys holding a checkpoint's per-page records.
+
+    Inputs
+    - id: string identity channel id
+    - pages: number of pages
+
+    Outputs
+    - string[] "<checkpoint key>#p<n>" for n = 1..pages
+*/
+function checkpointPageKeys(id, pages) {
+    return Array.from({ length: pages }, (_, i) => `${identityKey(SYNC_CHECKPOINT_KEY, id)}#p${i + 1}`);
+}
+
+/*
+    Function: saveSyncCheckpoint
+
+    Purpose
+    Persist paging progress and push the resume alarm out, so a worker killed mid-sync picks up
+    from the last completed page when it next wakes. Only the page just fetched is written, next to
+    the small progress record, so a long sync does not rewrite every record on every page.
+
+    Inputs
+    - id: string identity channel id
+    - cp: checkpoint object (records is not persisted with it)
+    - pageRecords: records of page cp.pages
+
+    Outputs
+    - Promise<void>
+*/
+async function saveSyncCheckpoint(id, cp, pageRecords) {
+    // Re-creating the alarm replaces the previous one.
+    const { records, ...progress } = cp;
+    await storageSet({
+        [identityKey(SYNC_CHECKPOINT_KEY, id)]: { ...progress, savedAt: Date.now() },
+        [checkpointPageKeys(id, cp.pages)[cp.pages - 1]]: pageRecords
+    });
+    chrome.alarms.create(identityKey(SYNC_RESUME_ALARM, id), { when: Date.now() + SYNC_STALL_MS });
+}
+
+/*
+    Function: clearSyncCheckpoint
+
+    Purpose
+    Drop an identity's checkpoint and resume alarm after completion or removal.
+
+    Inputs
+    - id: string identity channel id
+
+    Outputs
+    - Promise<void>
+*/
+async function clearSyncCheckpoint(id) {
+    const key = identityKey(SYNC_CHECKPOINT_KEY, id);
+    const cp = (await storageGet([key]))[key];
+    await storageRemove([key, ...checkpointPageKeys(id, Number.isInteger(cp?.pages) ? cp.pages : 0)]);
+    await chrome.alarms.clear(identityKey(SYNC_RESUME_ALARM, id));
+}
+
+/*
+    Function: fullSyncSubs
+
+    Purpose
+    Page through every subscription for an identity and replace its index, checkpointing after
+    each page and resuming from a previous checkpoint when one exists.
+
+    Inputs
+    - id: string identity channel id
+    - token: token object
+    - run: in-flight run entry; progress is reported on it and a superseded run stops
+    - checkpoint: optional checkpoint to resume from
+
+    Outputs
+    - Promise<void>
+*/
+async function fullSyncSubs(id, token, run, checkpoint) {
+    // Start from the checkpoint if there is one, else from page one.
+    const cp = checkpoint || { startedAt: Date.now(), pageToken: "", pages: 0, records: [], etag: "", totalResults: 0 };
+    if (checkpoint) logger.info("resuming subscriptions sync", id, "pages", cp.pages, "accum", cp.records.length);
+
+    while (true) {
+        // Request next page; remember the first page's validator for future probes.
+        const page = await fetchSubsPage(id, token, cp.pageToken);
+        const data = page.data;
+
+        // A watchdog may have replaced this run while the request was pending.
+        if (syncInFlight.get(id) !== run) throw new Error("sync superseded");
+
+        cp.pages += 1;
+        if (cp.pages === 1) {
+            cp.etag = page.etag;
+            cp.totalResults = data?.pageInfo?.totalResults || 0;
+        }
+
+        // Append subscription records from this page.
+        const pageRecords = [];
+        if (Array.isArray(data.items)) {
+            for (const it of data.items) {
+                const rec = toSubscriptionRecord(it);
+                if (rec) pageRecords.push(rec);
+            }
+        }
+        cp.records.push(...pageRecords);
+
+        // Emit progress and checkpoint before moving on.
+        run.progressAt = Date.now();
+        run.progress = { pages: cp.pages, fetched: cp.records.length, total: cp.totalResults };
+        logger.heartbeat("subs-progress", () => ["pages", cp.pages, "accum", cp.records.length]);
+        if (!data.nextPageToken) break;
+        cp.pageToken = data.nextPageToken;
+        await saveSyncCheckpoint(id, cp, pageRecords);
+    }
+
+    // Deduplicate and persist the final index, then drop the checkpoint.
+    await setSubsIndex(cp.records, id, { etag: cp.etag, totalResults: cp.totalResults });
+    await clearSyncCheckpoint(id);
+    logger.info("subscriptions synced", cp.records.length, "reported", cp.totalResults, "in", Date.now() - cp.startedAt, "ms");
+}
+
+/*
+    Function: makeCacheEntry / cacheEntryId / cacheEntryConfidence
+
+    Purpose
+    Build and read positive handleToChannelCache entries: { id, ts, strategy, confidence, source }.
+    Entries written before strategies were recorded are bare UC id strings and read as "unknown".
+
+    Inputs
+    - id: string UC id; strategy: key of STRATEGY_CONFIDENCE; source: optional { url, status, ms, attempts }
+    - entry: cache value
+
+    Outputs
+    - entry object | string|null UC id | "high"|"medium"|"low"|"unknown"|null
+*/
+function makeCacheEntry(id, strategy, source = null) {
+    return { id, ts: Date.now(), strategy, confidence: STRATEGY_CONFIDENCE[strategy] || "low", source };
+}
+function cacheEntryId(entry) {
+    if (typeof entry === "string") return entry;
+    return entry && !entry._neg && typeof entry.id === "string" ? entry.id : null;
+}
+function cacheEntryConfidence(entry) {
+    if (typeof entry === "string") return "unknown";
+    if (!entry || entry._neg) return null;
+    return entry.confidence || (entry.lowConfidence ? "low" : "unknown");
+}
+
+/*
+    Function: redactApiKey
+
+    Purpose
+    Strip the API key from a URL before it is stored in a trace.
+
+    Inputs
+    - url: string
+
+    Outputs
+    - string
+*/
+function redactApiKey(url) {
+    return url.replace(/([?&]key=)[^&]+/, "$1…");
+}
+
+/*
+    Function: entryFromResolution
+
+    Purpose
+    Build the cache entry for a runResolution result, with the answering request as its source.
+
+    Inputs
+    - found: { id, strategy, url, status } from runResolution
+    - trace: object[] attempts from runResolution
+
+    Outputs
+    - entry object for handleToChannelCache
+*/
+function entryFromResolution(found, trace) {
+    const answering = trace.find(t => t.strategy === found.strategy) || {};
+    return makeCacheEntry(found.id, found.strategy, { url: found.url, status: found.status, ms: answering.ms || 0, attempts: trace.length });
+}
+
+/*
+    Function: noteHandleMove
+
+    Purpose
+    Log a handle (or /c/, /user/ name) that now points at a different channel than the cached one,
+    and append it to the bounded move log.
+
+    Inputs
+    - key: string handle cache key
+    - previous: prior cache entry (anything without a positive id is ignored)
+    - nextId: string UC id now behind the key
+    - strategy: string what produced nextId
+
+    Outputs
+    - void
+*/
+function noteHandleMove(key, previous, nextId, strategy) {
+    // Only a positive mapping to a different channel counts as a move.
+    const fromId = cacheEntryId(previous);
+    if (!fromId || fromId === nextId) return;
+    logger.warn("handle moved", key, fromId, "=>", nextId, `(${strategy})`);
+    handleMoves.push({ key, from: fromId, to: nextId, strategy, ts: Date.now() });
+    if (handleMoves.length > HANDLE_MOVES_MAX) handleMoves = handleMoves.slice(-HANDLE_MOVES_MAX);
+    markDirty("moves");
+}
+
+/*
+    Function: handleCacheKey
+
+    Purpose
+    Map a channel's customUrl onto the handleToChannelCache key resolveRefToUc would look up.
+
+    Inputs
+    - customUrl: string "@handle" or a legacy custom name
+
+    Outputs
+    - string|null cache key
+*/
+function handleCacheKey(customUrl) {
+    // Modern values are handles; older ones are /c/ custom names.
+    const v = String(customUrl || "").trim().toLowerCase();
+    if (!v) return null;
+    return v.startsWith("@") ? `handle:${v}` : `c:${v}`;
+}
+
+/*
+    Function: saveLearnedHandles
+
+    Purpose
+    Merge looked-up handles into an identity's current index, which a sync may have replaced meanwhile,
+    for channels it still lists. The active identity's index is swapped in memory and written behind;
+    another identity's is written directly.
+
+    Inputs
+    - id: string identity channel id
+    - records: record map holding the looked-up handles
+
+    Outputs
+    - Promise<void>
+*/
+async function saveLearnedHandles(id, records) {
+    // Copy the handle onto each still-present record without mutating the current index.
+    const merge = current => {
+        const next = { ...current.records };
+        for (const [cid, rec] of Object.entries(records)) {
+            if (next[cid] && rec.handle !== undefined) next[cid] = { ...next[cid], handle: rec.handle };
         }
-    } catch {}
+        return { ...current, records: next };
+    };
+    if (id === activeId) {
+        if (!subsIndex.records) return;
+        subsIndex = merge(subsIndex);
+        markDirty("index");
+        return;
+    }
+    const key = identityKey(SUBS_INDEX_KEY, id);
+    const stored = (await storageGet([key]))[key];
+    if (stored?.records) await storageSet({ [key]: merge(stored) });
+}
+
+/*
+    Function: seedHandleCache
+
+    Purpose
+    Learn the handle of every subscribed channel (channels.list, 50 ids per call, only for records not
+    looked up before) and pre-populate handleToChannelCache, so links to subscribed channels resolve
+    without fetching channel pages.
+
+    Inputs
+    - id: string identity channel id
 
-    // Secondary: <link rel="canonical"> and <meta property="og:url"> checks.
+    Outputs
+    - Promise<void>
+*/
+async function seedHandleCache(id) {
+    // Work on the identity's stored index; the in-memory one when it is active.
+    const key = identityKey(SUBS_INDEX_KEY, id);
+    const index = id === activeId ? subsIndex : (await storageGet([key]))[key];
+    if (!index || !index.records) return;
+
+    // Look up handles only for records that have never been asked; "" marks "no handle". Answers
+    // collect in a copy, so a failing chunk leaves the index untouched until they are saved below.
+    const missing = index.ids.filter(cid => index.records[cid] && index.records[cid].handle === undefined);
+    const token = missing.length ? await getValidToken(id) : null;
+    const records = { ...index.records };
+    let looked = 0;
     try {
-        const linkCanon = html.match(/<link\s+rel=["']canonical["']\s+href=["']([^"']+)["']/i);
-        if (linkCanon && linkCanon[1]) {
-            const m = linkCanon[1].match(/\/channel\/(UC[0-9A-Za-z_-]{22})/);
-            if (m) return m[1];
+        for (let i = 0; token && i < missing.length; i += BATCH_MAX_IDS) {
+            const chunk = missing.slice(i, i + BATCH_MAX_IDS);
+            const url = `https://www.googleapis.com/youtube/v3/channels?part=snippet&maxResults=${BATCH_MAX_IDS}&id=${chunk.join(",")}&fields=items(id,snippet/customUrl)`;
+            const data = (await apiFetch(url, { category: "sync", token, id })).data;
+            const found = {};
+            for (const it of data.items || []) found[it.id] = it.snippet?.customUrl || "";
+            for (const cid of chunk) records[cid] = { ...records[cid], handle: found[cid] || "" };
+            looked += chunk.length;
+        }
+    } finally {
+        // Save whatever the finished chunks learned, also when a later chunk failed.
+        if (looked) {
+            await saveLearnedHandles(id, records);
+            logger.info("subscription handles looked up", looked, "of", missing.length);
+        }
+    }
+
+    // Point every known handle at its channel; subscription data outranks guesses and negatives.
+    let seeded = 0;
+    for (const cid of index.ids) {
+        const cacheKey = handleCacheKey(records[cid]?.handle);
+        if (!cacheKey || cacheEntryId(handleToChannelCache[cacheKey]) === cid) continue;
+        noteHandleMove(cacheKey, handleToChannelCache[cacheKey], cid, "subscription");
+        setHandleEntry(cacheKey, makeCacheEntry(cid, "subscription"));
+        seeded += 1;
+    }
+    if (seeded) {
+        logger.info("handle cache seeded from subscriptions", seeded);
+    }
+}
+
+/*
+    Function: syncIdentity
+
+    Purpose
+    Run one subscriptions sync for an identity: resume a checkpoint if present, otherwise probe
+    (unless forced) and re-page only on change. Concurrent callers share the in-flight run; a run
+    that has made no progress for SYNC_STALL_MS is abandoned and replaced.
+
+    Inputs
+    - id: string identity channel id
+    - force: boolean; skip the probe
+
+    Outputs
+    - Promise<boolean> true if the index was refreshed or confirmed current
+*/
+async function syncIdentity(id, force) {
+    // Join a healthy run; abandon a stuck one.
+    const existing = syncInFlight.get(id);
+    if (existing) {
+        if (Date.now() - existing.progressAt < SYNC_STALL_MS) {
+            logger.info("subscriptions refresh already running; joining");
+            return existing.promise;
+        }
+        logger.warn("subscriptions sync stalled; abandoning run", id);
+        syncInFlight.delete(id);
+    }
+
+    const run = { progressAt: Date.now(), progress: null, promise: null };
+    run.promise = (async () => {
+        // Require a valid token to proceed.
+        const token = await getValidToken(id);
+        if (!token) {
+            logger.warn("no valid token; sign in to load subscriptions");
+            return false;
+        }
+
+        try {
+            // Resume an interrupted sync; otherwise probe first unless forced. A probe only sees the
+            // total and the first page, so a full re-page is due once SUB_LIST_TTL_MS has passed since
+            // the last one, whatever a probe would say.
+            const checkpoint = await loadSyncCheckpoint(id);
+            const index = id === activeId ? subsIndex : { updatedAt: 0, ids: [] };
+            const fullDue = !index.fullSyncedAt || Date.now() - index.fullSyncedAt > SUB_LIST_TTL_MS;
+            logger.info("subscriptions refresh started", id, checkpoint ? "resume" : force || fullDue ? "full" : "probe");
+            if (!checkpoint && !force && !fullDue && await probeSubsIndex(id, token, index)) {
+                await markSubsIndexChecked(id);
+            } else {
+                await fullSyncSubs(id, token, run, checkpoint);
+            }
+            if (id === activeId) lastError = null;
+
+            // Seeding handles is best-effort; the index itself is already current.
+            try {
+                await seedHandleCache(id);
+            } catch (e) {
+                logger.warn("handle seeding failed", e?.message || e);
+            }
+            return true;
+        } catch (e) {
+            // Surface failure without throwing through the bus; the checkpoint stays for the next attempt.
+            logger.error("subscriptions refresh failed", e?.message || e);
+            if (id === activeId && syncInFlight.get(id) === run) recordError("subscriptions sync", e);
+            return false;
+        } finally {
+            // Only the current run may clear the in-flight entry.
+            if (syncInFlight.get(id) === run) syncInFlight.delete(id);
+        }
+    })();
+
+    // Track the run so concurrent callers join it.
+    syncInFlight.set(id, run);
+    return run.promise;
+}
+
+/*
+    Function: ensureSubsIndexFresh
+
+    Purpose
+    Keep the active identity's subscriptions index current with as little quota as possible.
+    An interrupted sync is always resumed, regardless of TTL.
+
+    Inputs
+    - force: boolean; page through everything regardless of TTL or probe
+    - opportunistic: boolean; tab-start refresh that probes even inside the TTL, at most once per
+      PROBE_MIN_INTERVAL_MS
+
+    Outputs
+    - Promise<boolean> true if the index was refreshed or confirmed current
+*/
+async function ensureSubsIndexFresh(force = false, opportunistic = false) {
+    // Sync for the identity active right now, even if the user switches mid-run.
+    await hydrated;
+    const id = activeId;
+    if (!id) {
+        logger.info("no active identity; sign in to load subscriptions");
+        return false;
+    }
+
+    // Skip when fresh, or when an opportunistic check happened very recently, unless a sync is pending.
+    const lastCheck = Math.max(subsIndex.checkedAt || 0, subsIndex.updatedAt || 0);
+    const fresh = !isSubsIndexStale() && (!opportunistic || Date.now() - lastCheck < PROBE_MIN_INTERVAL_MS);
+    if (!force && fresh && !syncInFlight.has(id) && !(await loadSyncCheckpoint(id))) {
+        logger.debug("subscriptions index fresh");
+        return false;
+    }
+    return syncIdentity(id, force);
+}
+
+/*
+    Code Block: Sync Resume Alarm
+
+    Purpose
+    Watchdog for subscriptions paging: fires when a checkpoint has not advanced for SYNC_STALL_MS,
+    which means the worker was killed mid-sync or the run is stuck, and resumes from the checkpoint.
+
+    Inputs
+    - chrome.alarms events named "<SYNC_RESUME_ALARM>:<channelId>"
+
+    Outputs
+    - None (side effects: sync resumed or abandoned run replaced)
+*/
+chrome.alarms.onAlarm.addListener(alarm => {
+    const prefix = `${SYNC_RESUME_ALARM}:`;
+    if (!alarm.name.startsWith(prefix)) return;
+    const id = alarm.name.slice(prefix.length);
+    void hydrated.then(async () => {
+        if (!identities[id]) return clearSyncCheckpoint(id);
+        if (syncInFlight.has(id) || await loadSyncCheckpoint(id)) await syncIdentity(id, true);
+    });
+});
+
+/*
+    Function: findKeyInObject
+
+    Purpose
+    Recursively search an object graph for a key with a string value passing an optional validator.
+
+    Inputs
+    - obj: object to search
+    - keyToFind: string key name
+    - validateFn: function(string) => boolean (optional)
+
+    Outputs
+    - string|null value found
+*/
+function findKeyInObject(obj, keyToFind, validateFn) {
+    // If not an object, stop search.
+    if (typeof obj !== "object" || obj === null) return null;
+
+    // Iterate own properties, check match or recurse into child objects.
+    for (const key in obj) {
+        if (!Object.prototype.hasOwnProperty.call(obj, key)) continue;
+        const value = obj[key];
+        if (key === keyToFind && typeof value === "string" && (!validateFn || validateFn(value))) {
+            return value;
+        }
+        if (typeof value === "object" && value !== null) {
+            const result = findKeyInObject(value, keyToFind, validateFn);
+            if (result) return result;
         }
-        const ogUrl = html.match(/<meta\s+property=["']og:url["']\s+content=["']([^"']+)["']/i);
-        if (ogUrl && ogUrl[1]) {
-            const m = ogUrl[1].match(/\/channel\/(UC[0-9A-Za-z_-]{22})/);
-            if (m) return m[1];
+    }
+    return null;
+}
+
+/*
+    Function: extractBalancedJson
+
+    Purpose
+    Cut the JSON object that starts after a marker out of page text by matching braces (string- and
+    escape-aware), instead of a non-greedy regex that stops at the first "};" inside a string.
+
+    Inputs
+    - text: string page text (possibly partial)
+    - marker: RegExp locating the assignment/call that precedes the object
+
+    Outputs
+    - string|null complete JSON object text, or null if absent or not fully received yet
+*/
+function extractBalancedJson(text, marker) {
+    // Find the opening brace after the marker.
+    const m = marker.exec(text);
+    if (!m) return null;
+    const start = text.indexOf("{", m.index + m[0].length - 1);
+    if (start < 0) return null;
+
+    // Walk to the matching close brace, skipping string contents.
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const c = text[i];
+        if (inString) {
+            if (c === "\\") i += 1;
+            else if (c === "\"") inString = false;
+        } else if (c === "\"") {
+            inString = true;
+        } else if (c === "{") {
+            depth += 1;
+        } else if (c === "}") {
+            depth -= 1;
+            if (depth === 0) return text.slice(start, i + 1);
         }
+    }
+    return null;
+}
+
+/*
+    Function: channelIdFromInitialData / channelIdFromHead
+
+    Purpose
+    The confident extraction stages: the channel named by a parsed ytInitialData object
+    (channelMetadataRenderer, then the microformat canonical URL), and by the <link rel="canonical">
+    or <meta property="og:url"> head tags in a piece of HTML.
+
+    Inputs
+    - j: parsed ytInitialData object | text: string of HTML
+
+    Outputs
+    - { id: string, strategy: string } | null
+*/
+function channelIdFromInitialData(j) {
+    const uc = v => typeof v === "string" && /^UC[0-9A-Za-z_-]{22}$/.test(v);
+    const meta = j?.metadata?.channelMetadataRenderer;
+    if (uc(meta?.channelId)) return { id: meta.channelId, strategy: "channelMetadataRenderer" };
+    if (uc(meta?.externalId)) return { id: meta.externalId, strategy: "channelMetadataRenderer" };
+
+    // Fallback: microformat canonical channel URL.
+    const canon = j?.microformat?.microformatDataRenderer?.urlCanonical;
+    const m = typeof canon === "string" ? canon.match(/\/channel\/(UC[0-9A-Za-z_-]{22})/) : null;
+    return m ? { id: m[1], strategy: "microformat" } : null;
+}
+function channelIdFromHead(text) {
+    const linkCanon = text.match(/<link\s+rel=["']canonical["']\s+href=["']([^"']+)["']/i);
+    const fromCanon = linkCanon?.[1]?.match(/\/channel\/(UC[0-9A-Za-z_-]{22})/);
+    if (fromCanon) return { id: fromCanon[1], strategy: "canonicalLink" };
+    const ogUrl = text.match(/<meta\s+property=["']og:url["']\s+content=["']([^"']+)["']/i);
+    const fromOg = ogUrl?.[1]?.match(/\/channel\/(UC[0-9A-Za-z_-]{22})/);
+    return fromOg ? { id: fromOg[1], strategy: "ogUrl" } : null;
+}
+
+/*
+    Function: findConfidentChannelId
+
+    Purpose
+    Run only the extraction stages that identify the page's own channel (channelMetadataRenderer,
+    canonical link, og:url) over a whole document.
+
+    Inputs
+    - html: string of HTML
+
+    Outputs
+    - { id: string, strategy: string } | null
+*/
+function findConfidentChannelId(html) {
+    // ytInitialData metadata, once the whole object has arrived.
+    try {
+        const initial = extractBalancedJson(html, /ytInitialData\s*=\s*/);
+        const found = initial ? channelIdFromInitialData(JSON.parse(initial)) : null;
+        if (found) return found;
     } catch {}
 
+    // <link rel="canonical"> and <meta property="og:url"> in the head.
+    return channelIdFromHead(html);
+}
+
+/*
+    Function: createConfidentScanner
+
+    Purpose
+    Incremental findConfidentChannelId for a streamed download: each call looks only at what arrived
+    since the last one. Head tags are matched from a scan offset (with a small overlap for tags split
+    across chunks); the ytInitialData object is brace-walked from where the previous chunk stopped
+    and parsed once, when it closes. Total work stays linear in the page size.
+
+    Inputs
+    - None
+
+    Outputs
+    - scan(html) => { id: string, strategy: string } | null, called with the text read so far
+*/
+function createConfidentScanner() {
+    const OVERLAP = 512;
+    const marker = /ytInitialData\s*=\s*/g;
+    let headFrom = 0;
+    let markerFrom = 0;
+    let initialDone = false;
+    let start = -1;
+    let pos = 0;
+    let depth = 0;
+    let inString = false;
+
+    return html => {
+        // ytInitialData: find the opening brace once, then continue the walk across chunks.
+        if (!initialDone && start < 0) {
+            marker.lastIndex = Math.max(0, markerFrom - OVERLAP);
+            const m = marker.exec(html);
+            markerFrom = html.length;
+            if (m) {
+                const brace = html.indexOf("{", m.index + m[0].length - 1);
+                if (brace >= 0) start = pos = brace;
+                else markerFrom = m.index;
+            }
+        }
+        if (!initialDone && start >= 0) {
+            for (; pos < html.length; pos++) {
+                const c = html[pos];
+                if (inString) {
+                    if (c === "\\") pos += 1;
+                    else if (c === "\"") inString = false;
+                } else if (c === "\"") {
+                    inString = true;
+                } else if (c === "{") {
+                    depth += 1;
+                } else if (c === "}") {
+                    depth -= 1;
+                    if (depth === 0) break;
+                }
+            }
+            if (pos < html.length) {
+                initialDone = true;
+                try {
+                    const found = channelIdFromInitialData(JSON.parse(html.slice(start, pos + 1)));
+                    if (found) return found;
+                } catch {}
+            }
+        }
+
+        // Head tags in the newly arrived text.
+        const found = channelIdFromHead(html.slice(Math.max(0, headFrom - OVERLAP)));
+        headFrom = html.length;
+        return found;
+    };
+}
+
+/*
+    Function: extractChannelIdFromHtml
+
+    Purpose
+    Extract the canonical UC channel id from raw YouTube channel HTML using layered heuristics:
+    confident page-identity stages first, then looser scans over the full document. The strategy
+    name says which layer answered (see STRATEGY_CONFIDENCE).
+
+    Inputs
+    - html: string of HTML content
+
+    Outputs
+    - { id: string, strategy: string } | null
+*/
+function extractChannelIdFromHtml(html) {
+    // Preferred: the stages that name the page's own channel.
+    const confident = findConfidentChannelId(html);
+    if (confident) return confident;
+
     // Simple path scan for "/channel/UC..." pattern.
     const path = html.match(/\/channel\/(UC[0-9A-Za-z_-]{22})/);
-    if (path) return path[1];
+    if (path) return { id: path[1], strategy: "channelPath" };
 
     // ytcfg.set(...) object search for a strict channelId value.
     try {
-        const cfgMatch = html.match(/ytcfg\.set\(\s*({.*?})\s*\);/s);
-        if (cfgMatch) {
-            const cfg = JSON.parse(cfgMatch[1]);
-            const strict = findKeyInObject(cfg, "channelId", v => /^UC[0-9A-Za-z_-]{22}$/.test(v));
-            if (strict) return strict;
+        const cfg = extractBalancedJson(html, /ytcfg\.set\(\s*/);
+        if (cfg) {
+            const strict = findKeyInObject(JSON.parse(cfg), "channelId", v => /^UC[0-9A-Za-z_-]{22}$/.test(v));
+            if (strict) return { id: strict, strategy: "ytcfg" };
         }
     } catch {}
 
     // As a last resort, search for "channelId" keys anywhere.
-    try {
-        const anyMatch = html.match(/"channelId"\s*:\s*"(UC[0-9A-Za-z_-]{22})"/);
-        if (anyMatch) return anyMatch[1];
-    } catch {}
-    try {
-        const initialMatch2 = html.match(/ytInitialData\s*=\s*({.*?});/s);
-        if (initialMatch2) {
-            const j2 = JSON.parse(initialMatch2[1]);
-            const deep = findKeyInObject(j2, "channelId", v => /^UC[0-9A-Za-z_-]{22}$/.test(v));
-            if (deep) return deep;
-        }
-    } catch {}
+    const anyMatch = html.match(/"channelId"\s*:\s*"(UC[0-9A-Za-z_-]{22})"/);
+    if (anyMatch) return { id: anyMatch[1], strategy: "anyChannelId" };
 
     // No match found.
     return null;
 }
 
+/*
+    Function: readChannelIdFromResponse
+
+    Purpose
+    Read a channel page body incrementally, checking the confident stages on each new chunk and
+    cancelling the download as soon as one matches; otherwise fall back to the full heuristics.
+
+    Inputs
+    - resp: Response with a readable body
+
+    Outputs
+    - Promise<{ found: { id, strategy } | null, html: string }> html is what was read (for consent handling)
+*/
+async function readChannelIdFromResponse(resp) {
+    // Without a stream, read everything.
+    if (!resp.body || typeof resp.body.getReader !== "function") {
+        const html = await resp.text();
+        return { found: extractChannelIdFromHtml(html), html };
+    }
+
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    const scan = createConfidentScanner();
+    let html = "";
+    try {
+        while (html.length < HTML_MAX_CHARS) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            html += decoder.decode(value, { stream: true });
+
+            // Stop downloading as soon as the page's own channel is known.
+            const found = scan(html);
+            if (found) {
+                logger.debug("channel id found after", html.length, "chars");
+                return { found, html };
+            }
+        }
+        html += decoder.decode();
+    } finally {
+        // Cancelling aborts the rest of the transfer; harmless once done.
+        reader.cancel().catch(() => {});
+    }
+    return { found: extractChannelIdFromHtml(html), html };
+}
+
 /*
     Function: normalizeRef
 
@@ -769,55 +2870,127 @@ function normalizeRef(ref) {
     Function: resolveUcFromHtmlCandidates
 
     Purpose
-    Fetch multiple URL candidates and extract a UC id by parsing HTML; follows simple consent redirects.
+    Fetch multiple URL candidates and extract a UC id by parsing HTML as it streams in; follows simple
+    consent redirects. Each fetch is appended to the trace.
 
     Inputs
     - urlCandidates: string[] list of URLs to try
+    - priority: { foreground: boolean } fetch-pool priority
+    - trace: array receiving { stage, url, status, ms, strategy } per attempt
+
+    Outputs
+    - Promise<{ id, strategy, url, status } | null>
+*/
+async function resolveUcFromHtmlCandidates(urlCandidates, priority = BACKGROUND_PRIORITY, trace = []) {
+    // Fetch one page and record the attempt.
+    const attempt = async url => {
+        const started = Date.now();
+        const step = { stage: "html", url, status: 0, ms: 0, strategy: null };
+        trace.push(step);
+        try {
+            // The body is streamed while the pool slot and timeout are still held.
+            const read = await fetchWithTimeout(url, {}, HANDLE_RESOLVE_TIMEOUT_MS, priority, async resp => {
+                step.status = resp.status;
+                if (!resp.ok) {
+                    resp.body?.cancel().catch(() => {});
+                    return { found: null, html: "" };
+                }
+                return readChannelIdFromResponse(resp);
+            });
+            step.strategy = read.found?.strategy || null;
+            return read;
+        } catch (e) {
+            step.error = e?.name === "AbortError" ? "timeout" : String(e?.message || e);
+            return { found: null, html: "" };
+        } finally {
+            step.ms = Date.now() - started;
+        }
+    };
+
+    // Iterate through candidates in order.
+    for (const url of urlCandidates) {
+        const { found, html } = await attempt(url);
+        if (found) return { ...found, url, status: trace[trace.length - 1].status };
+
+        // Detect consent "continue" link and follow once.
+        const cont = html.match(/href="(https?:\/\/www\.youtube\.com\/[^"]+)"/);
+        if (cont && cont[1]) {
+            const next = await attempt(cont[1]);
+            if (next.found) return { ...next.found, url: cont[1], status: trace[trace.length - 1].status };
+        }
+    }
+    // Return null if none yielded a UC id.
+    return null;
+}
+
+/*
+    Function: resolveChannelExact
+
+    Purpose
+    Resolve a handle, legacy username or custom name to its UC id with channels.list forHandle /
+    forUsername: 1 quota unit and an exact match, unlike the search fallback.
+
+    Inputs
+    - tokens: normalized reference object from normalizeRef
+    - priority: { foreground: boolean } fetch-pool priority
+    - trace: array receiving the attempt
 
     Outputs
-    - Promise<string|null> UC id or null
+    - Promise<{ id, strategy, url, status } | null>
 */
-async function resolveUcFromHtmlCandidates(urlCandidates) {
-    // Iterate through candidates in order.
-    for (const url of urlCandidates) {
-        try {
-            // Fetch HTML and parse for a UC id.
-            const resp = await fetchWithTimeout(url, {}, HANDLE_RESOLVE_TIMEOUT_MS);
-            if (!resp.ok) continue;
-            const html = await resp.text();
-            const id = extractChannelIdFromHtml(html);
-            if (id) return id;
-
-            // Detect consent "continue" link and follow once.
-            const cont = html.match(/href="(https?:\/\/www\.youtube\.com\/[^"]+)"/);
-            if (cont && cont[1]) {
-                const r2 = await fetchWithTimeout(cont[1], {}, HANDLE_RESOLVE_TIMEOUT_MS);
-                if (r2.ok) {
-                    const html2 = await r2.text();
-                    const id2 = extractChannelIdFromHtml(html2);
-                    if (id2) return id2;
-                }
-            }
-        } catch {}
+async function resolveChannelExact(tokens, priority = BACKGROUND_PRIORITY, trace = []) {
+    // Map the reference kind onto a channels.list filter. A custom /c/ name is not a handle: @name may
+    // belong to an unrelated channel, so that lookup is only a low-confidence guess.
+    let filter;
+    if (tokens.kind === "handle") filter = `forHandle=${encodeURIComponent(tokens.value)}`;
+    else if (tokens.kind === "c") filter = `forHandle=${encodeURIComponent("@" + tokens.value)}`;
+    else if (tokens.kind === "user") filter = `forUsername=${encodeURIComponent(tokens.value)}`;
+    else return null;
+
+    // Authorize with the active identity's token, else the API key.
+    const token = await getValidToken();
+    if (!token && !SEARCH_API_KEY) return null;
+    const key = token ? "" : `&key=${SEARCH_API_KEY}`;
+    const url = `https://www.googleapis.com/youtube/v3/channels?part=id&${filter}&fields=items(id)${key}`;
+    const strategy = tokens.kind === "c" ? "customNameAsHandle" : tokens.kind === "handle" ? "forHandle" : "forUsername";
+    const step = { stage: "api", url: redactApiKey(url), status: 0, ms: 0, strategy: null };
+    const started = Date.now();
+    trace.push(step);
+    try {
+        const res = await apiFetch(url, { category: "resolve", token, priority });
+        step.status = res.status;
+        const id = res.data?.items?.[0]?.id;
+        if (typeof id !== "string" || !/^UC[0-9A-Za-z_-]{22}$/.test(id)) return null;
+        step.strategy = strategy;
+        return { id, strategy, url: step.url, status: res.status };
+    } catch (e) {
+        step.status = e?.status || 0;
+        step.error = String(e?.reason || e?.message || e);
+        logger.warn("exact resolve failed", tokens.kind, tokens.value, e?.message || e);
+        return null;
+    } finally {
+        step.ms = Date.now() - started;
     }
-    // Return null if none yielded a UC id.
-    return null;
 }
 
 /*
     Function: searchChannelIdFallback
 
     Purpose
-    Use the YouTube Search API to infer a UC id when HTML parsing fails.
+    Use the YouTube Search API to guess a UC id when every exact stage fails. Costs 100 units and
+    scores titles fuzzily, so it runs only when SEARCH_FALLBACK is "on" and its answers are cached
+    as low-confidence.
 
     Inputs
     - tokens: normalized reference object from normalizeRef
     - apiKey: YouTube Data API key
+    - priority: { foreground: boolean } fetch-pool priority
+    - trace: array receiving one entry per query
 
     Outputs
-    - Promise<string|null> UC id or null
+    - Promise<{ id, strategy, url, status } | null>
 */
-async function searchChannelIdFallback(tokens, apiKey) {
+async function searchChannelIdFallback(tokens, apiKey, priority = BACKGROUND_PRIORITY, trace = []) {
     // Prepare search terms from handle or custom identifiers.
     const candidates = [];
     if (tokens.kind === "handle") candidates.push(tokens.value);
@@ -827,33 +3000,49 @@ async function searchChannelIdFallback(tokens, apiKey) {
     // Query for each candidate and score best matches.
     for (const q of candidates) {
         const url = `https://www.googleapis.com/youtube/v3/search?part=snippet&type=channel&maxResults=5&q=${encodeURIComponent(q)}&key=${apiKey}`;
+        const step = { stage: "api", url: redactApiKey(url), status: 0, ms: 0, strategy: null };
+        const started = Date.now();
+        trace.push(step);
+        let data;
         try {
-            const resp = await fetchWithTimeout(url, {}, 7000);
-            if (!resp.ok) continue;
-            const data = await resp.json();
-            if (!data.items || !Array.isArray(data.items)) continue;
-
-            // Score by exact/contains matches of customUrl and title.
-            let best = null;
-            let bestScore = -1;
-            const qn = q.toLowerCase();
-            for (const it of data.items) {
-                const id = it?.id?.channelId;
-                const sn = it?.snippet || {};
-                const title = (sn.channelTitle || "").toLowerCase();
-                const customUrl = (sn.customUrl || "").toLowerCase();
-                let score = 0;
-                if (customUrl === qn) score += 100;
-                if (title === qn) score += 60;
-                if (customUrl.includes(qn)) score += 25;
-                if (title.includes(qn)) score += 15;
-                if (id && score > bestScore) {
-                    best = id;
-                    bestScore = score;
-                }
+            const res = await apiFetch(url, { category: "search", timeoutMs: 7000, priority });
+            step.status = res.status;
+            data = res.data;
+        } catch (e) {
+            // Stop on a quota pause; other failures move on to the next candidate.
+            step.status = e?.status || 0;
+            step.error = String(e?.reason || e?.message || e);
+            logger.warn("search fallback failed", q, e?.message || e);
+            if (isApiPaused()) break;
+            continue;
+        } finally {
+            step.ms = Date.now() - started;
+        }
+        if (!data.items || !Array.isArray(data.items)) continue;
+
+        // Score by exact/contains matches of customUrl and title.
+        let best = null;
+        let bestScore = -1;
+        const qn = q.toLowerCase();
+        for (const it of data.items) {
+            const id = it?.id?.channelId;
+            const sn = it?.snippet || {};
+            const title = (sn.channelTitle || "").toLowerCase();
+            const customUrl = (sn.customUrl || "").toLowerCase();
+            let score = 0;
+            if (customUrl === qn) score += 100;
+            if (title === qn) score += 60;
+            if (customUrl.includes(qn)) score += 25;
+            if (title.includes(qn)) score += 15;
+            if (id && score > bestScore) {
+                best = id;
+                bestScore = score;
             }
-            if (best) return best;
-        } catch {}
+        }
+        if (best) {
+            step.strategy = "search";
+            return { id: best, strategy: "search", url: step.url, status: step.status };
+        }
     }
     // No suitable match found.
     return null;
@@ -863,56 +3052,265 @@ async function searchChannelIdFallback(tokens, apiKey) {
     Function: resolveRefToUc
 
     Purpose
-    Resolve any channel reference into a UC id using cache, HTML probing, and search fallback.
+    Resolve any channel reference into a UC id using cache, HTML probing, channels.list exact lookup,
+    and (opt-in) search fallback. Concurrent requests for the same key share one resolution; a
+    foreground caller joining a background resolution upgrades its priority.
 
     Inputs
     - ref: string reference (UC/@/c/user/URL)
+    - priority: { foreground: boolean } fetch-pool priority
 
     Outputs
     - Promise<string|null> UC id or null
 */
-async function resolveRefToUc(ref) {
+async function resolveRefToUc(ref, priority = BACKGROUND_PRIORITY) {
     // Normalize reference and check immediate UC fast path.
     const norm = normalizeRef(ref);
     const key = `${norm.kind}:${norm.value}`.toLowerCase();
     if (norm.kind === "uc") return norm.value;
 
-    // Consult cache; honor negative cache TTL.
+    // Consult cache; honor negative cache TTL and retry low-confidence guesses on the same schedule.
     if (handleToChannelCache[key] !== undefined && handleToChannelCache[key] !== null) {
         const cached = handleToChannelCache[key];
+        const cachedId = cacheEntryId(cached);
+        if (lruTouch(handleToChannelCache, key)) markDirty("handle", key);
         if (typeof cached === "object" && cached._neg) {
             const stale = Date.now() - cached.ts > NEGATIVE_CACHE_TTL_MS;
             if (!stale) {
                 logger.debug("negative-cached", key);
                 return null;
             }
-        } else {
+        } else if (cacheEntryConfidence(cached) === "low") {
+            if (Date.now() - cached.ts <= NEGATIVE_CACHE_TTL_MS) {
+                logger.debug("cached (low confidence)", key, "=>", cachedId);
+                return cachedId;
+            }
+        } else if (cachedId) {
             // In DEBUG we surface more; otherwise keep it quiet at debug level.
-            if (DEBUG) logger.info("cached", key, "=>", cached); else logger.debug("cached", key, "=>", cached);
-            return cached;
+            if (DEBUG) logger.info("cached", key, "=>", cachedId); else logger.debug("cached", key, "=>", cachedId);
+            return cachedId;
         }
     }
 
-    // Try HTML resolution and then API search fallback.
-    if (DEBUG) logger.info("resolving", key); else logger.debug("resolving", key);
-    let channelId = await resolveUcFromHtmlCandidates(norm.urlCandidates);
-    if (!channelId && SEARCH_API_KEY) {
-        channelId = await searchChannelIdFallback(norm, SEARCH_API_KEY);
+    // Join a resolution already in flight for this key.
+    const inflight = resolving.get(key);
+    if (inflight) {
+        if (priority.foreground) inflight.priority.foreground = true;
+        return inflight.promise;
+    }
+    const entry = { priority: { foreground: !!priority.foreground }, promise: null };
+    entry.promise = resolveUncached(norm, key, entry.priority).finally(() => resolving.delete(key));
+    resolving.set(key, entry);
+    return entry.promise;
+}
+
+/*
+    Function: runResolution
+
+    Purpose
+    Run the network resolution stages in order (HTML, channels.list exact lookup, opt-in search) and
+    collect a trace of every attempt, without touching the cache.
+
+    Inputs
+    - norm: normalized reference object from normalizeRef
+    - priority: { foreground: boolean } fetch-pool priority
+    - trace: optional array the attempts are appended to, so a caller keeps them if a stage throws
+
+    Outputs
+    - Promise<{ found: { id, strategy, confidence, url, status } | null, trace: object[], ms: number }>
+*/
+async function runResolution(norm, priority, trace = []) {
+    // Stop at the first stage that answers.
+    const started = Date.now();
+    let found = await resolveUcFromHtmlCandidates(norm.urlCandidates, priority, trace);
+    if (!found) found = await resolveChannelExact(norm, priority, trace);
+    if (!found && SEARCH_FALLBACK === "on" && SEARCH_API_KEY) {
+        found = await searchChannelIdFallback(norm, SEARCH_API_KEY, priority, trace);
     }
+    if (found) found.confidence = STRATEGY_CONFIDENCE[found.strategy] || "low";
+    return { found, trace, ms: Date.now() - started };
+}
+
+/*
+    Function: resolveUncached
+
+    Purpose
+    Resolve one key over the network and cache the outcome with the strategy, confidence, and the
+    answering request (URL, HTTP status, timing).
+
+    Inputs
+    - norm: normalized reference object from normalizeRef
+    - key: string cache key
+    - priority: { foreground: boolean } shared, upgradable fetch-pool priority
+
+    Outputs
+    - Promise<string|null> UC id or null
+*/
+async function resolveUncached(norm, key, priority) {
+    if (DEBUG) logger.info("resolving", key); else logger.debug("resolving", key);
+    const { found, trace, ms } = await runResolution(norm, priority);
 
     // Cache negative result to avoid repeated work.
-    if (!channelId) {
-        handleToChannelCache[key] = { _neg: true, ts: Date.now() };
-        await saveCachesToStorage();
-        logger.warn("resolve failed", key);
+    if (!found) {
+        setHandleEntry(key, { _neg: true, ts: Date.now(), attempts: trace.length, ms });
+        logger.warn("resolve failed", key, "attempts", trace.length);
+        return null;
+    }
+
+    // Cache positive mapping; low-confidence answers are retried later.
+    noteHandleMove(key, handleToChannelCache[key], found.id, found.strategy);
+    setHandleEntry(key, entryFromResolution(found, trace));
+    if (DEBUG) logger.info("resolved", key, "=>", found.id, found.strategy, found.confidence); else logger.debug("resolved", key, "=>", found.id, found.strategy);
+    return found.id;
+}
+
+/*
+    Function: refFromCacheKey
+
+    Purpose
+    Turn a handle cache key back into a reference normalizeRef accepts.
+
+    Inputs
+    - key: string like "handle:@name", "c:name", "user:name", "url:https://…"
+
+    Outputs
+    - string | null
+*/
+function refFromCacheKey(key) {
+    const m = String(key).match(/^(handle|c|user|url):(.+)$/);
+    if (!m) return null;
+    if (m[1] === "handle" || m[1] === "url") return m[2];
+    return `/${m[1]}/${m[2]}`;
+}
+
+/*
+    Function: revalidateHandleCache
+
+    Purpose
+    Re-resolve positive handle mappings last confirmed more than HANDLE_REVALIDATE_TTL_MS ago, oldest
+    first and at most HANDLE_REVALIDATE_BUDGET per run, at background fetch priority. A handle that
+    now resolves to another channel replaces the mapping and is logged as moved, unless the new answer
+    is less trustworthy than the old one; a failed lookup keeps the mapping until the next interval.
+
+    Inputs
+    - None
+
+    Outputs
+    - Promise<number> mappings re-checked
+*/
+async function revalidateHandleCache() {
+    // One run at a time; a budget of 0 disables revalidation.
+    await hydrated;
+    if (revalidating || HANDLE_REVALIDATE_BUDGET <= 0) return 0;
+    revalidating = true;
+    const rank = { high: 3, medium: 2, unknown: 1, low: 0 };
+    const checkedAt = entry => (typeof entry === "string" ? 0 : Math.max(entry.ts || 0, entry.checkedAt || 0));
+    try {
+        // Pick due entries; bare legacy strings carry no timestamp and go first.
+        const now = Date.now();
+        const due = Object.entries(handleToChannelCache)
+            .filter(([key, entry]) => cacheEntryId(entry) && refFromCacheKey(key) && !resolving.has(key) && now - checkedAt(entry) > HANDLE_REVALIDATE_TTL_MS)
+            .sort((x, y) => checkedAt(x[1]) - checkedAt(y[1]))
+            .slice(0, HANDLE_REVALIDATE_BUDGET);
+
+        let moved = 0;
+        for (const [key, previous] of due) {
+            if (!navigator.onLine) break;
+            const { found, trace } = await runResolution(normalizeRef(refFromCacheKey(key)), BACKGROUND_PRIORITY);
+
+            // Something else (page data, invalidation, a fresh resolve) replaced the entry meanwhile.
+            if (handleToChannelCache[key] !== previous) continue;
+            const prevId = cacheEntryId(previous);
+            const prevConfidence = cacheEntryConfidence(previous);
+            const base = typeof previous === "string" ? { id: previous, ts: 0, confidence: "unknown" } : previous;
+
+            if (!found || (found.id !== prevId && rank[found.confidence] < rank[prevConfidence])) {
+                // Keep the mapping; note the check so it waits a full interval.
+                handleToChannelCache[key] = { ...base, checkedAt: now };
+                markDirty("handle", key);
+                if (found) logger.info("handle re-check disagreed with weaker evidence", key, prevId, "vs", found.id, found.strategy);
+            } else if (found.id === prevId && rank[found.confidence] < rank[prevConfidence]) {
+                // Same channel; keep the stronger provenance.
+                handleToChannelCache[key] = { ...base, ts: now };
+                markDirty("handle", key);
+            } else {
+                if (found.id !== prevId) moved += 1;
+                noteHandleMove(key, previous, found.id, found.strategy);
+                setHandleEntry(key, entryFromResolution(found, trace));
+            }
+        }
+        if (due.length) {
+            logger.info("handle mappings re-checked", due.length, "moved", moved);
+        }
+        return due.length;
+    } finally {
+        revalidating = false;
+    }
+}
+
+/*
+    Code Block: Handle Revalidation Alarm
+
+    Purpose
+    Run the budgeted handle re-check on its hourly alarm.
+
+    Inputs
+    - chrome.alarms events named HANDLE_REVALIDATE_ALARM
+
+    Outputs
+    - None (side effects: handle cache refreshed)
+*/
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name !== HANDLE_REVALIDATE_ALARM) return;
+    void revalidateHandleCache().catch(e => logger.warn("handle revalidation failed", e?.message || e));
+});
+
+/*
+    Function: checkSubscribedBatch
+
+    Purpose
+    Perform exact membership checks for up to BATCH_MAX_IDS UC ids in one Subscriptions API call
+    (forChannelId takes a comma-separated list), and write each answer into the per-channel cache.
+
+    Inputs
+    - channelIds: string[] UC ids (at most BATCH_MAX_IDS)
+    - category: ledger category the call is charged to ("perChannel" | "verify")
+
+    Outputs
+    - Promise<{ [channelId]: boolean } | null> null when the call could not be made
+*/
+async function checkSubscribedBatch(channelIds, category = "perChannel") {
+    // Require a valid token for the active identity; otherwise no answer.
+    const id = activeId;
+    const token = await getValidToken(id);
+    if (!token) return null;
+
+    // Call subscriptions endpoint scoped to the channel ids; snippet carries the record fields.
+    const url = `https://www.googleapis.com/youtube/v3/subscriptions?part=snippet&mine=true&maxResults=${BATCH_MAX_IDS}&forChannelId=${channelIds.join(",")}`;
+    let data;
+    try {
+        data = (await apiFetch(url, { category, token, id })).data;
+    } catch (e) {
+        // Failures (including a cleared token or quota pause) give no answer and cache nothing.
+        logger.warn("per-channel check failed", channelIds.length, "ids", e?.message || e);
         return null;
     }
 
-    // Cache and persist positive mapping.
-    handleToChannelCache[key] = channelId;
-    await saveCachesToStorage();
-    if (DEBUG) logger.info("resolved", key, "=>", channelId); else logger.debug("resolved", key, "=>", channelId);
-    return channelId;
+    // Returned items are the subscribed subset; every other requested id is not subscribed.
+    const found = {};
+    for (const it of data.items || []) {
+        const rec = toSubscriptionRecord(it);
+        if (rec) found[rec.channelId] = rec;
+    }
+    const results = {};
+    const now = Date.now();
+    for (const channelId of channelIds) {
+        results[channelId] = !!found[channelId];
+        // Update short-lived cache, unless the user switched identity meanwhile.
+        if (id === activeId) setChannelEntry(channelId, { status: results[channelId], updatedAt: now, record: found[channelId] || null });
+    }
+    logger.debug("per-channel batch", category, channelIds.length, "ids", Object.keys(found).length, "subscribed");
+    return results;
 }
 
 /*
@@ -923,59 +3321,121 @@ async function resolveRefToUc(ref) {
 
     Inputs
     - channelId: string UC id
+    - category: ledger category the call is charged to ("perChannel" | "verify")
 
     Outputs
     - Promise<boolean> subscribed
 */
-async function checkSubscribedPerChannel(channelId) {
-    // Require a valid token; otherwise false.
-    const token = await getValidToken();
-    if (!token) return false;
+async function checkSubscribedPerChannel(channelId, category = "perChannel") {
+    // A batch of one; failures answer "not subscribed".
+    const results = await checkSubscribedBatch([channelId], category);
+    return !!results?.[channelId];
+}
 
-    // Call subscriptions endpoint scoped to the channel id.
-    const url = `https://www.googleapis.com/youtube/v3/subscriptions?part=subscriberSnippet&mine=true&forChannelId=${channelId}`;
-    const resp = await fetchWithTimeout(url, { headers: { Authorization: `Bearer ${token.access_token}` } }, 10000);
+/*
+    Function: queueChannelCheck
 
-    // Handle token expiration and other non-OK statuses.
-    if (!resp.ok) {
-        if (resp.status === 401) {
-            await clearToken();
-            logger.warn("token expired during per-channel check");
-            return false;
-        }
-        logger.warn("per-channel api non-ok", resp.status, resp.statusText);
-        return false;
+    Purpose
+    Queue a UC id for the next batched membership check of a category. Checks queued within
+    BATCH_WINDOW_MS (e.g., by one bulkCheckChannels call) share a request and one budget token.
+
+    Inputs
+    - channelId: string UC id
+    - category: "perChannel" | "verify"
+
+    Outputs
+    - Promise<boolean|null> subscribed, or null when the budget was empty or the call failed
+*/
+function queueChannelCheck(channelId, category) {
+    // Join an already-queued check for the same id.
+    const batch = channelBatches[category];
+    let waiters = batch.pending.get(channelId);
+    if (!waiters) {
+        waiters = [];
+        batch.pending.set(channelId, waiters);
     }
+    const promise = new Promise(resolve => waiters.push(resolve));
+
+    // Flush right away when full, else after the collection window.
+    if (batch.pending.size >= BATCH_MAX_IDS) {
+        clearTimeout(batch.timer);
+        batch.timer = null;
+        void flushChannelBatch(category);
+    } else if (!batch.timer) {
+        batch.timer = setTimeout(() => {
+            batch.timer = null;
+            void flushChannelBatch(category);
+        }, BATCH_WINDOW_MS);
+    }
+    return promise;
+}
 
-    // Interpret presence of items as "subscribed".
-    const data = await resp.json();
-    const subscribed = !!(data.items && data.items.length > 0);
+/*
+    Function: flushChannelBatch
+
+    Purpose
+    Send up to BATCH_MAX_IDS queued ids of a category as one request, spending one budget token,
+    and fan the answers back to every waiting caller.
+
+    Inputs
+    - category: "perChannel" | "verify"
+
+    Outputs
+    - Promise<void>
+*/
+async function flushChannelBatch(category) {
+    // Take the oldest ids off the queue.
+    const batch = channelBatches[category];
+    const taken = [...batch.pending.entries()].slice(0, BATCH_MAX_IDS);
+    if (!taken.length) return;
+    for (const [channelId] of taken) batch.pending.delete(channelId);
+
+    // One budget token per request; with none left, callers fall back to local answers.
+    const consume = category === "verify" ? consumeVerifyToken : consumePcToken;
+    let results = null;
+    if (consume()) {
+        logger.info(category === "verify" ? "negative verification" : "per-channel check", taken.length, "ids");
+        results = await checkSubscribedBatch(taken.map(([channelId]) => channelId), category);
+    }
+    for (const [channelId, waiters] of taken) {
+        const value = results ? !!results[channelId] : null;
+        for (const resolve of waiters) resolve(value);
+    }
 
-    // Update short-lived cache and persist.
-    cache[channelId] = { status: subscribed, updatedAt: Date.now() };
-    await saveCachesToStorage();
-    logger.debug("per-channel result", channelId, subscribed);
-    return subscribed;
+    // Anything queued meanwhile beyond a full batch goes out next.
+    if (batch.pending.size && !batch.timer) {
+        batch.timer = setTimeout(() => {
+            batch.timer = null;
+            void flushChannelBatch(category);
+        }, BATCH_WINDOW_MS);
+    }
 }
 
 /*
-    Function: isUserSubscribedLocal
+    Function: checkMembership
 
     Purpose
-    Answer membership questions using the local subscriptions index first, with verification fallbacks.
+    Answer membership questions using the local subscriptions index first, with verification fallbacks,
+    and report which source produced the answer.
 
     Inputs
     - idOrRef: string UC id or reference
+    - priority: { foreground: boolean } fetch-pool priority for resolution
 
     Outputs
-    - Promise<boolean> subscribed
+    - Promise<{ subscribed: boolean, channelId: string|null, source: string, record: object|null }>
+      source is "index" | "verify" | "per-channel" | "cache" | "unresolved" | "none"
 */
-async function isUserSubscribedLocal(idOrRef) {
+async function checkMembership(idOrRef, priority = BACKGROUND_PRIORITY) {
+    // Answer only after the active identity's caches are loaded.
+    await hydrated;
+    const answer = (subscribed, channelId, source, record = null) => ({ subscribed, channelId, source, record });
+
     // Resolve any non-UC reference to UC id.
     let channelId = idOrRef;
     if (!channelId.startsWith("UC")) {
-        const resolved = await resolveRefToUc(channelId);
-        if (!resolved) return false;
+        const resolved = await resolveRefToUc(channelId, priority);
+        if (!resolved) return answer(false, null, "unresolved");
         channelId = resolved;
     }
 
@@ -983,74 +3443,176 @@ async function isUserSubscribedLocal(idOrRef) {
     if (subsIndex.ids && subsIndex.ids.length) {
         const inSet = subsSet().has(channelId);
         logger.debug("local subs check", channelId, inSet);
-        if (inSet) return true;
+        if (inSet) return answer(true, channelId, "index", getSubscriptionRecord(channelId));
 
-        // Occasionally re-verify negatives within a budget.
+        // Occasionally re-verify negatives, batched and within a budget.
         const lastNeg = lastNegativeVerifyAt[channelId] || 0;
         const fresh = Date.now() - lastNeg < VERIFY_NEG_TTL_MS;
-        if (!fresh && consumeVerifyToken()) {
-            logger.info("negative verification", channelId);
-            const verified = await checkSubscribedPerChannel(channelId);
-            lastNegativeVerifyAt[channelId] = Date.now();
+        const id = activeId;
+        const verified = fresh ? null : await queueChannelCheck(channelId, "verify");
+
+        // An answer for an identity that is no longer active must not touch the new one's state.
+        if (verified !== null && id !== activeId) {
+            logger.debug("identity switched during verify; dropping result", channelId);
+            return answer(false, channelId, "index");
+        }
+        if (verified !== null) {
+            lruSet(lastNegativeVerifyAt, channelId, Date.now());
+            markDirty("verify", channelId);
             if (verified && !subsSet().has(channelId)) {
                 subsIndex.ids.push(channelId);
-                await saveCachesToStorage();
+                const rec = cache[channelId]?.record;
+                if (rec) subsIndex.records[channelId] = rec;
+                markDirty("index");
+                if (id) await appendChangeLog(id, [{ channelId, title: rec?.title || "" }], [], "verify");
                 logger.info("negative verify found subscription; index updated");
             }
-            return verified;
+            return answer(verified, channelId, "verify", verified ? getSubscriptionRecord(channelId) : null);
         }
-        return false;
+        return answer(false, channelId, "index");
     }
 
-    // If index is absent and stale, use a budgeted per-channel call during warm start.
-    if (isSubsIndexStale() && consumePcToken()) {
-        try {
-            return await checkSubscribedPerChannel(channelId);
-        } catch {
-            return false;
-        }
+    // If index is absent and stale, use a budgeted, batched per-channel call during warm start.
+    if (isSubsIndexStale()) {
+        const subscribed = await queueChannelCheck(channelId, "perChannel");
+        if (subscribed !== null) return answer(subscribed, channelId, "per-channel", cache[channelId]?.record || null);
     }
 
     // Fall back to recent legacy per-channel cache if fresh.
     const c = cache[channelId];
     if (c && Date.now() - c.updatedAt < ONE_HOUR_MS) {
         logger.debug("legacy cache check", channelId, c.status);
-        return !!c.status;
+        return answer(!!c.status, channelId, "cache", c.record || null);
     }
-    return false;
+    return answer(false, channelId, "none");
+}
+
+/*
+    Function: isUserSubscribedLocal
+
+    Purpose
+    Boolean view of checkMembership for callers that do not need details.
+
+    Inputs
+    - idOrRef: string UC id or reference
+
+    Outputs
+    - Promise<boolean> subscribed
+*/
+async function isUserSubscribedLocal(idOrRef) {
+    return (await checkMembership(idOrRef)).subscribed;
+}
+
+/*
+    Function: describeMembership
+
+    Purpose
+    Compact a positive checkMembership answer into the details shown in marker tooltips.
+
+    Inputs
+    - m: checkMembership result
+
+    Outputs
+    - { channelId, source, title, subscribedAt } | null
+*/
+function describeMembership(m) {
+    // Only positives get a marker, so only they need details.
+    if (!m || !m.subscribed) return null;
+    return {
+        channelId: m.channelId,
+        source: m.source,
+        title: m.record?.title || "",
+        subscribedAt: m.record?.subscribedAt || 0
+    };
 }
 
 /*
     Function: getCurrentIdentity
 
     Purpose
-    Retrieve the authenticated user's YouTube channel id and title.
+    Retrieve the YouTube channel id and title a token speaks for.
 
     Inputs
-    - None
+    - token: optional token object; defaults to the active identity's valid token
 
     Outputs
     - Promise<{ channelId: string, title: string } | null>
 */
-async function getCurrentIdentity() {
-    // Require authentication.
-    const token = await getValidToken();
+async function getCurrentIdentity(token) {
+    // Require authentication; only a token looked up here belongs to a known identity to clear on 401.
+    const owner = token ? null : activeId;
+    if (!token) token = await getValidToken();
     if (!token) return null;
 
     // Request minimal identity fields for the current user.
     const fields = "items(id,snippet/title)";
     const url = `https://www.googleapis.com/youtube/v3/channels?part=snippet&mine=true&fields=${encodeURIComponent(fields)}`;
-    const resp = await fetchWithTimeout(url, { headers: { Authorization: `Bearer ${token.access_token}` } }, 10000);
-    if (!resp.ok) return null;
+    let data;
+    try {
+        data = (await apiFetch(url, { category: "identity", token, id: owner })).data;
+    } catch (e) {
+        logger.warn("identity lookup failed", e?.message || e);
+        return null;
+    }
 
     // Parse first channel record into a compact identity object.
-    const data = await resp.json();
     const it = Array.isArray(data.items) && data.items[0] ? data.items[0] : null;
     if (!it || !it.id) return null;
     const title = it.snippet && it.snippet.title ? it.snippet.title : "";
     return { channelId: it.id, title };
 }
 
+/*
+    Code Block: Bulk Check Port
+
+    Purpose
+    Stream bulkCheckChannels answers to content scripts over a long-lived port, one message per ref
+    as soon as it resolves, so indexed channels are marked without waiting for slow resolutions.
+
+    Inputs
+    - ports named "ytsm-bulk"; messages { type: "bulkCheckChannels", requestId, ids }
+
+    Outputs
+    - { type: "bulkResult", requestId, ref, subscribed, details } per ref, then
+      { type: "bulkDone", requestId, stale, syncing, identity }
+*/
+chrome.runtime.onConnect.addListener(port => {
+    if (port.name !== "ytsm-bulk") return;
+    let connected = true;
+    port.onDisconnect.addListener(() => {
+        connected = false;
+    });
+
+    // Posting after the tab went away throws; just stop sending.
+    const post = msg => {
+        if (!connected) return;
+        try {
+            port.postMessage(msg);
+        } catch {
+            connected = false;
+        }
+    };
+
+    port.onMessage.addListener(message => {
+        if (!message || message.type !== "bulkCheckChannels") return;
+        const { requestId } = message;
+        const ids = Array.isArray(message.ids) ? message.ids.slice(0, 200) : [];
+        const priority = { foreground: !!port.sender?.tab?.active };
+
+        // Answer each ref independently; finish with a summary.
+        const promises = ids.map(async ref => {
+            let m = null;
+            try {
+                m = await checkMembership(ref, priority);
+            } catch {}
+            post({ type: "bulkResult", requestId, ref, subscribed: !!m?.subscribed, details: describeMembership(m) });
+        });
+        Promise.all(promises).then(() => {
+            post({ type: "bulkDone", requestId, stale: isSubsIndexStale(), syncing: isSyncing(), identity: activeId });
+        });
+    });
+});
+
 /*
     Code Block: Message Bus Listener
 
@@ -1066,28 +3628,11 @@ async function getCurrentIdentity() {
     - boolean to keep the channel open when necessary
 */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    // Batch membership checks for up to 200 ids/refs.
-    if (message.type === "bulkCheckChannels") {
-        const ids = Array.isArray(message.ids) ? message.ids.slice(0, 200) : [];
-        const results = {};
-        const promises = ids.map(async id => {
-            try {
-                results[id] = await isUserSubscribedLocal(id);
-            } catch {
-                results[id] = false;
-            }
-        });
-        Promise.all(promises).then(() => {
-            sendResponse({ results, stale: isSubsIndexStale(), syncing });
-        });
-        return true;
-    }
-
     // Single membership check.
     if (message.type === "checkChannel") {
         const { channelId } = message;
-        isUserSubscribedLocal(channelId)
-            .then(subscribed => sendResponse({ subscribed }))
+        checkMembership(channelId, { foreground: !!sender.tab?.active })
+            .then(m => sendResponse({ subscribed: m.subscribed, details: describeMembership(m) }))
             .catch(() => sendResponse({ subscribed: false }));
         return true;
     }
@@ -1110,14 +3655,38 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
-    // Force subscriptions refresh and return summary.
+    // Refresh subscriptions and return summary: a full re-page when forced (popup), else a cheap probe (tab start).
     if (message.type === "refreshSubscriptions") {
-        ensureSubsIndexFresh(true).then(updated => {
+        ensureSubsIndexFresh(!!message.force, !message.force).then(updated => {
             sendResponse({ ok: updated, total: subsIndex.ids.length, updatedAt: subsIndex.updatedAt });
         });
         return true;
     }
 
+    // Record handle -> UC pairs harvested from page data. Any script on the page can post these, so they
+    // only replace mappings ranked below their own (guesses, legacy entries, negatives), never one of equal
+    // or higher confidence.
+    if (message.type === "reportChannelIds") {
+        const pairs = Array.isArray(message.pairs) ? message.pairs.slice(0, 500) : [];
+        let learned = 0;
+        for (const pair of pairs) {
+            const [ref, uc] = Array.isArray(pair) ? pair : [];
+            if (typeof ref !== "string" || typeof uc !== "string" || !/^UC[0-9A-Za-z_-]{22}$/.test(uc)) continue;
+            const norm = normalizeRef(ref);
+            if (!["handle", "c", "user"].includes(norm.kind)) continue;
+            const key = `${norm.kind}:${norm.value}`.toLowerCase();
+            if (cacheEntryId(handleToChannelCache[key]) === uc) continue;
+            const existingRank = CONFIDENCE_RANK[cacheEntryConfidence(handleToChannelCache[key])] ?? -1;
+            if (existingRank >= CONFIDENCE_RANK[STRATEGY_CONFIDENCE.pageData]) continue;
+            noteHandleMove(key, handleToChannelCache[key], uc, "pageData");
+            setHandleEntry(key, makeCacheEntry(uc, "pageData"));
+            learned += 1;
+        }
+        if (learned) logger.debug("page-harvested channel ids", learned);
+        sendResponse({ ok: true, learned });
+        return true;
+    }
+
     // Invalidate cached handle/url mapping to force re-resolve next time.
     if (message.type === "invalidateHandle") {
         const raw = String(message.handle || "").trim();
@@ -1126,46 +3695,144 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         let ok = false;
 
         // Delete canonicalized key and raw-lowercased key if present.
-        if (handleToChannelCache[k1] !== undefined) {
-            delete handleToChannelCache[k1];
-            ok = true;
-        }
-        if (handleToChannelCache[raw.toLowerCase()] !== undefined) {
-            delete handleToChannelCache[raw.toLowerCase()];
+        for (const key of [k1, raw.toLowerCase()]) {
+            if (handleToChannelCache[key] === undefined) continue;
+            delete handleToChannelCache[key];
+            markDirty("handle", key);
             ok = true;
         }
 
-        // Persist and respond.
-        saveCachesToStorage().then(() => sendResponse({ ok }));
+        // Persist before responding so a reload sees the invalidation.
+        flushPersist().then(() => sendResponse({ ok }));
         return true;
     }
 
-    // Debug helper: resolve a ref and check membership.
+    // Debug helper: resolve a ref and check membership; a failure still answers, with the trace so far.
     if (message.type === "debugResolve") {
         const ref = String(message.ref || "");
+        const trace = [];
         (async () => {
             const norm = normalizeRef(ref);
+            const key = `${norm.kind}:${norm.value}`.toLowerCase();
             let resolvedUc = null;
+            let resolution = null;
 
-            // Resolve UC id via fast-path or fallbacks.
+            // Resolve UC id via fast-path or a fresh, traced run of every stage (the cache is not consulted).
             if (norm.kind === "uc") {
                 resolvedUc = norm.value;
             } else {
-                resolvedUc = await resolveUcFromHtmlCandidates(norm.urlCandidates);
-                if (!resolvedUc && SEARCH_API_KEY) {
-                    resolvedUc = await searchChannelIdFallback(norm, SEARCH_API_KEY);
-                }
+                // Someone is waiting on this interactively, so it jumps the fetch queue.
+                resolution = await runResolution(norm, { foreground: true }, trace);
+                resolvedUc = resolution.found?.id || null;
             }
 
             // Determine membership using index or API.
             const set = subsSet();
             const inIndex = !!(resolvedUc && set.has(resolvedUc));
             const final = resolvedUc ? (inIndex ? true : await checkSubscribedPerChannel(resolvedUc)) : false;
-            sendResponse({ ref, norm, resolvedUc, inIndex, final });
+            sendResponse({
+                ok: true,
+                ref,
+                norm,
+                resolvedUc,
+                strategy: resolution?.found?.strategy || (resolvedUc ? "uc" : null),
+                confidence: resolution?.found?.confidence || (resolvedUc ? "high" : null),
+                trace,
+                ms: resolution?.ms || 0,
+                cached: handleToChannelCache[key] ?? null,
+                moves: handleMoves.filter(m => m.key === key),
+                inIndex,
+                final
+            });
+        })().catch(e => {
+            logger.warn("debug resolve failed", ref, e?.message || e);
+            sendResponse({ ok: false, ref, error: String(e?.message || e), trace });
+        });
+        return true;
+    }
+
+    // Summarize auth, index, and sync state for the popup.
+    if (message.type === "getStatus") {
+        hydrated.then(() => getValidToken()).then(token => {
+            const identity = activeId ? identities[activeId] : null;
+            sendResponse({
+                authenticated: !!token,
+                needsSignIn: !!identity?.needsSignIn,
+                identity,
+                identities: Object.values(identities),
+                total: subsIndex.ids.length,
+                updatedAt: subsIndex.updatedAt,
+                stale: isSubsIndexStale(),
+                syncing: isSyncing(),
+                syncProgress: syncInFlight.get(activeId)?.progress || null,
+                apiPausedUntil: isApiPaused() ? apiPause.until : 0,
+                storage: storageUsage,
+                lastError
+            });
+        });
+        return true;
+    }
+
+    // Return the daily quota ledger: today's units by category (with caps) and endpoint, plus recent days.
+    if (message.type === "getQuotaLedger") {
+        hydrated.then(() => {
+            const day = quotaDay();
+            const today = ledgerToday();
+            const categories = {};
+            for (const [cat, cap] of Object.entries(QUOTA_CAPS)) {
+                categories[cat] = { units: 0, calls: 0, ...today.categories[cat], cap };
+            }
+            sendResponse({
+                day,
+                resetAt: nextQuotaResetAt(),
+                total: today.total,
+                categories,
+                endpoints: today.endpoints,
+                days: quotaLedger
+            });
+        });
+        return true;
+    }
+
+    // Return stored subscription records, optionally filtered by a title/id substring.
+    if (message.type === "listSubscriptions") {
+        hydrated.then(() => {
+            const q = String(message.query || "").trim().toLowerCase();
+            const items = subsIndex.ids
+                .map(cid => getSubscriptionRecord(cid) || { channelId: cid, title: "", thumbnails: {}, subscribedAt: 0, subscriptionId: "" })
+                .filter(r => !q || r.title.toLowerCase().includes(q) || r.channelId.toLowerCase().includes(q));
+            sendResponse({ identity: activeId, updatedAt: subsIndex.updatedAt, total: subsIndex.ids.length, items });
+        });
+        return true;
+    }
+
+    // Report subscriptions added/removed since a timestamp (default: everything recorded).
+    if (message.type === "getSubscriptionChanges") {
+        (async () => {
+            await hydrated;
+            if (!activeId) return sendResponse({ identity: null, since: 0, entries: [], added: [], removed: [] });
+            const key = identityKey(CHANGE_LOG_KEY, activeId);
+            const log = (await storageGet([key]))[key] || [];
+            const since = Number(message.since) || 0;
+            sendResponse({ identity: activeId, ...summarizeChanges(log, since) });
         })();
         return true;
     }
 
+    // List known identities and the active one.
+    if (message.type === "listIdentities") {
+        hydrated.then(() => sendResponse({ active: activeId, identities: Object.values(identities) }));
+        return true;
+    }
+
+    // Make another known identity active; its cached index is reused unless stale.
+    if (message.type === "setActiveIdentity") {
+        hydrated
+            .then(() => switchIdentity(String(message.channelId || "")))
+            .then(ok => sendResponse({ ok, active: activeId, total: subsIndex.ids.length, updatedAt: subsIndex.updatedAt }));
+        return true;
+    }
+
     // Report the current authenticated identity.
     if (message.type === "whoami") {
         getCurrentIdentity().then(identity => {
@@ -1174,21 +3841,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true;
     }
 
-    // Explicit logout clears token.
+    // Explicit logout signs out one identity (default: active) and clears any stale error.
     if (message.type === "logout") {
-        clearToken().then(() => sendResponse({ ok: true }));
+        (async () => {
+            await hydrated;
+            await removeIdentity(message.channelId ? String(message.channelId) : activeId);
+            lastError = null;
+            sendResponse({ ok: true, active: activeId });
+        })();
         return true;
     }
 
-    // Reauth and sync subscription index.
+    // Interactive sign-in (new or existing account), make it active, and sync its index.
     if (message.type === "reauth") {
         (async () => {
             try {
-                await fetchToken(true, "select_account consent");
+                await hydrated;
+                const { identity } = await fetchToken(true, "select_account consent");
+                await switchIdentity(identity.channelId);
                 const updated = await ensureSubsIndexFresh(true);
-                sendResponse({ ok: updated, total: subsIndex.ids.length });
-            } catch {
-                sendResponse({ ok: false });
+                sendResponse({ ok: updated, total: subsIndex.ids.length, active: activeId });
+            } catch (e) {
+                logger.error("reauth failed", e?.message || e);
+                recordError("sign-in", e);
+                sendResponse({ ok: false, error: lastError.message });
             }
         })();
         return true;
@@ -1197,27 +3873,3 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Unhandled type: do not consume.
     return false;
 });
-
-/*
-    Code Block: Toolbar Click Handler
-
-    Purpose
-    When the toolbar icon is clicked, prompt auth and perform a fresh subscriptions sync.
-
-    Inputs
-    - Click event from chrome.action
-
-    Outputs
-    - None (side effects: token and index updated)
-*/
-chrome.action.onClicked.addListener(async () => {
-    // Wrap in try/catch for UX resilience.
-    try {
-        await fetchToken(true, "select_account consent");
-        logger.info("authenticated; syncing subscriptions");
-        await ensureSubsIndexFresh(true);
-        logger.info("subscriptions ready", subsIndex.ids.length);
-    } catch (e) {
-        logger.error("auth/sync failed", e?.message || e);
-    }
-});
@@ -20,11 +20,12 @@
     Outputs
     - DEBUG boolean
 */
+const DEBUG_KEY = "ytsm_debug";
 const DEBUG_DEFAULT = false;
 let DEBUG = DEBUG_DEFAULT;
 try {
-    chrome?.storage?.local?.get?.(["ytsm_debug"], s => {
-        if (typeof s?.ytsm_debug === "boolean") DEBUG = s.ytsm_debug;
+    chrome?.storage?.local?.get?.([DEBUG_KEY], s => {
+        if (typeof s?.[DEBUG_KEY] === "boolean") applyDebug(s[DEBUG_KEY]);
     });
 } catch {}
 
@@ -40,12 +41,12 @@ try {
     - heartbeatMs: throttle window for heartbeat logs
 
     Outputs
-    - An object with { error, warn, info, debug, heartbeat }
+    - An object with { error, warn, info, debug, heartbeat, setLevel }
 */
 function makeLogger(prefix, level = "info", heartbeatMs = 2500) {
     // Define rank thresholds and track last heartbeat per tag.
     const rank = { error: 0, warn: 1, info: 2, debug: 3 };
-    const min = rank[level] ?? 2;
+    let min = rank[level] ?? 2;
     const last = new Map();
 
     // Emit a log message if level passes threshold.
@@ -66,13 +67,20 @@ function makeLogger(prefix, level = "info", heartbeatMs = 2500) {
         }
     }
 
+    // Change level and heartbeat window at runtime.
+    function setLevel(nextLevel, nextHeartbeatMs = heartbeatMs) {
+        min = rank[nextLevel] ?? 2;
+        heartbeatMs = nextHeartbeatMs;
+    }
+
     // Return the structured logger API.
     return {
         error: (...a) => emit("error", a),
         warn: (...a) => emit("warn", a),
         info: (...a) => emit("info", a),
         debug: (...a) => emit("debug", a),
-        heartbeat
+        heartbeat,
+        setLevel
     };
 }
 
@@ -80,15 +88,118 @@ function makeLogger(prefix, level = "info", heartbeatMs = 2500) {
 // In DEBUG: more verbose, faster heartbeat. Otherwise: warn-level, slower heartbeat.
 const logger = makeLogger("[YTSM/CS]", DEBUG ? "info" : "warn", DEBUG ? 3000 : 30000);
 
-// Bulk timing and queue sizing constants.
-const BULK_INTERVAL_MS = 800;
-const MAX_IDS_PER_BULK = 200;
+/*
+    Function: applyDebug
+
+    Purpose
+    Switch the DEBUG flag and logger verbosity when the stored flag changes.
+
+    Inputs
+    - on: boolean
+
+    Outputs
+    - void
+*/
+function applyDebug(on) {
+    // Mirror the level/heartbeat choice made at logger creation.
+    DEBUG = !!on;
+    logger.setLevel(DEBUG ? "info" : "warn", DEBUG ? 3000 : 30000);
+}
+
+// Bulk timing, queue sizing and mismatch tunables; set from the options page settings once the shared
+// schema (settings.js, loaded with a dynamic import since content scripts cannot import statically) is in.
+const SETTINGS_KEY = "ytsm_settings";
+let sanitizeSettings = null;
+let BULK_INTERVAL_MS;
+let MAX_IDS_PER_BULK;
+let ACCOUNT_MISMATCH_MODE;
+
+/*
+    Function: applySettings
+
+    Purpose
+    Adopt the content-script tunables from stored settings, validated by the shared schema's
+    sanitizeSettings (out-of-range or unknown values fall back to the schema defaults).
+
+    Inputs
+    - raw: object|undefined stored settings
+
+    Outputs
+    - void
+*/
+function applySettings(raw) {
+    // Validate against the shared schema and assign the content-script tunables.
+    const s = sanitizeSettings(raw);
+    BULK_INTERVAL_MS = s.BULK_INTERVAL_MS;
+    MAX_IDS_PER_BULK = s.MAX_IDS_PER_BULK;
+    const prevMode = ACCOUNT_MISMATCH_MODE;
+    ACCOUNT_MISMATCH_MODE = s.ACCOUNT_MISMATCH_MODE;
+    logger.info("settings applied", BULK_INTERVAL_MS, MAX_IDS_PER_BULK, ACCOUNT_MISMATCH_MODE);
+
+    // Re-evaluate the account check under the new policy.
+    if (prevMode !== ACCOUNT_MISMATCH_MODE && observer) void checkAccountMismatch();
+}
+
+/*
+    Code Block: Settings Hydration and Live Updates
+
+    Purpose
+    Load the settings schema and the stored tunables once, and follow changes made on the options page
+    without a reload.
+
+    Inputs
+    - settings.js (web-accessible); storage keys SETTINGS_KEY and DEBUG_KEY
+
+    Outputs
+    - settingsReady: Promise<void> resolved once the tunables are set
+    - Updates BULK_INTERVAL_MS, MAX_IDS_PER_BULK, ACCOUNT_MISMATCH_MODE and DEBUG; re-marks the page when the
+      active identity changes
+*/
+const settingsReady = import(chrome.runtime.getURL("settings.js")).then(schema => {
+    sanitizeSettings = schema.sanitizeSettings;
+    return new Promise(resolve => chrome.storage.local.get([SETTINGS_KEY], s => resolve(applySettings(s?.[SETTINGS_KEY]))));
+});
+try {
+    chrome?.storage?.onChanged?.addListener?.((changes, area) => {
+        if (area !== "local") return;
+        // Changes before the schema loads are picked up by its initial read.
+        if (changes[SETTINGS_KEY] && sanitizeSettings) applySettings(changes[SETTINGS_KEY].newValue);
+        if (changes[DEBUG_KEY]) applyDebug(changes[DEBUG_KEY].newValue);
+        if (changes[ACTIVE_IDENTITY_KEY]) {
+            resetMarkers();
+            void checkAccountMismatch();
+        }
+    });
+} catch {}
+
+// Active identity key written by the background when the user switches accounts.
+const ACTIVE_IDENTITY_KEY = "activeIdentity";
+
+// Page-account check: per-tab cache key and banner element id.
+const PAGE_ACCOUNT_CACHE_KEY = "ytsm_page_account";
+const MISMATCH_BANNER_ID = "ytsm-account-mismatch";
+
+// Handle -> UC pairs posted by page-harvest.js (MAIN world), and the cap per message.
+const HARVEST_MESSAGE = "YTSM_HARVEST";
+const HARVEST_MAX_PAIRS = 500;
 
 // Mutable observation and batching state.
 let observer = null;
 let pollTimer = null;
 let pendingRefs = new Set();
 let lastBulkAt = 0;
+let identityEpoch = 0;
+let markingPaused = false;
+let harvestedPairs = new Map();
+
+// Streaming bulk checks: the port, outstanding requests, refs awaiting answers, positives to mark.
+const BULK_PORT_NAME = "ytsm-bulk";
+let bulkPort = null;
+let bulkRequestSeq = 0;
+const bulkRequests = new Map();
+const inFlightRefs = new Set();
+let pendingMarks = new Map();
+let applyMarksScheduled = false;
 
 /*
     Code Block: Candidate Anchor Selectors
@@ -418,6 +529,36 @@ function extractRef(a) {
     }
 }
 
+// Human-readable names for how the background answered.
+const SOURCE_LABELS = {
+    "index": "local subscriptions index",
+    "verify": "negative verification (API)",
+    "per-channel": "per-channel API check",
+    "cache": "per-channel cache"
+};
+
+/*
+    Function: describeMarker
+
+    Purpose
+    Build the marker tooltip from bulk-check details.
+
+    Inputs
+    - detail: { channelId, source, title, subscribedAt } | undefined
+
+    Outputs
+    - string
+*/
+function describeMarker(detail) {
+    // Without details, keep the original wording.
+    if (!detail) return "You are subscribed";
+    const lines = [detail.title ? `Subscribed to ${detail.title}` : "You are subscribed"];
+    if (detail.subscribedAt) lines.push(`Since ${new Date(detail.subscribedAt).toLocaleDateString()}`);
+    if (detail.channelId) lines.push(`Channel ID: ${detail.channelId}`);
+    if (detail.source) lines.push(`Source: ${SOURCE_LABELS[detail.source] || detail.source}`);
+    return lines.join("\n");
+}
+
 /*
     Function: addMarker
 
@@ -426,11 +567,12 @@ function extractRef(a) {
 
     Inputs
     - a: HTMLAnchorElement target
+    - detail: optional bulk-check details for the tooltip
 
     Outputs
     - void
 */
-function addMarker(a) {
+function addMarker(a, detail) {
     // Avoid duplicate markers on the same anchor.
     if (a.querySelector(".subscription-marker")) return;
 
@@ -450,10 +592,33 @@ function addMarker(a) {
     img.style.width = "16px";
     img.style.height = "16px";
     img.alt = "subscribed";
-    img.title = "You are subscribed";
+    img.title = describeMarker(detail);
     a.appendChild(img);
 }
 
+/*
+    Function: resetMarkers
+
+    Purpose
+    Remove every marker and re-check the page, used when the active identity changes.
+
+    Inputs
+    - None
+
+    Outputs
+    - void
+*/
+function resetMarkers() {
+    // Invalidate in-flight bulk results, drop markers, and rescan from scratch.
+    identityEpoch += 1;
+    for (const img of queryAllDeep(document, [".subscription-marker"])) img.remove();
+    pendingRefs.clear();
+    pendingMarks.clear();
+    lastBulkAt = 0;
+    logger.info("identity changed; re-marking page");
+    queueRefsFromDom();
+}
+
 /*
     Function: queueRefsFromDom
 
@@ -485,6 +650,7 @@ function queueRefsFromDom() {
         const ref = extractRef(a);
         if (!ref) continue;
         extracted += 1;
+        if (inFlightRefs.has(ref)) continue;
         pendingRefs.add(ref);
         added += 1;
     }
@@ -498,11 +664,156 @@ function queueRefsFromDom() {
     }
 }
 
+/*
+    Function: reportHarvest
+
+    Purpose
+    Send harvested handle -> UC pairs to the background so its resolution cache has them before
+    the refs are checked.
+
+    Inputs
+    - None
+
+    Outputs
+    - Promise<void>
+*/
+async function reportHarvest() {
+    // Drain everything collected since the last report.
+    if (!harvestedPairs.size) return;
+    const pairs = [...harvestedPairs.entries()];
+    harvestedPairs = new Map();
+    await safeSendMessage({ type: "reportChannelIds", pairs });
+    logger.debug("harvested pairs reported", pairs.length);
+}
+
+/*
+    Function: getBulkPort
+
+    Purpose
+    Open (or reuse) the long-lived port the background streams bulk results over. When the port
+    drops (e.g., the service worker restarts), every unanswered ref is requeued.
+
+    Inputs
+    - None
+
+    Outputs
+    - chrome.runtime.Port | null
+*/
+function getBulkPort() {
+    // Reuse a live port.
+    if (bulkPort) return bulkPort;
+    try {
+        if (typeof chrome === "undefined" || !chrome.runtime || !chrome.runtime.id) return null;
+        bulkPort = chrome.runtime.connect({ name: BULK_PORT_NAME });
+    } catch (e) {
+        logger.warn("bulk port connect failed", e && e.message ? e.message : String(e));
+        return null;
+    }
+
+    // Route streamed messages; on disconnect, put outstanding refs back in the queue.
+    bulkPort.onMessage.addListener(handleBulkMessage);
+    bulkPort.onDisconnect.addListener(() => {
+        bulkPort = null;
+        for (const req of bulkRequests.values()) {
+            for (const ref of req.refs) {
+                inFlightRefs.delete(ref);
+                pendingRefs.add(ref);
+            }
+        }
+        bulkRequests.clear();
+        if (pendingRefs.size) setTimeout(flushBulk, BULK_INTERVAL_MS);
+    });
+    return bulkPort;
+}
+
+/*
+    Function: handleBulkMessage
+
+    Purpose
+    Apply one streamed message: a per-ref result ("bulkResult") or the end of a request ("bulkDone").
+
+    Inputs
+    - msg: { type: "bulkResult", requestId, ref, subscribed, details } |
+           { type: "bulkDone", requestId }
+
+    Outputs
+    - void
+*/
+function handleBulkMessage(msg) {
+    const req = msg && bulkRequests.get(msg.requestId);
+    if (!req) return;
+
+    // One ref answered; stale answers (identity switched mid-flight) are requeued.
+    if (msg.type === "bulkResult") {
+        req.refs.delete(msg.ref);
+        inFlightRefs.delete(msg.ref);
+        if (req.epoch !== identityEpoch) {
+            pendingRefs.add(msg.ref);
+            return;
+        }
+        if (msg.subscribed === true && !markingPaused) {
+            pendingMarks.set(msg.ref, msg.details || null);
+            scheduleApplyMarks();
+        }
+        return;
+    }
+
+    // Request finished; keep draining the queue.
+    if (msg.type === "bulkDone") {
+        for (const ref of req.refs) {
+            inFlightRefs.delete(ref);
+            pendingRefs.add(ref);
+        }
+        bulkRequests.delete(msg.requestId);
+        if (pendingRefs.size) setTimeout(flushBulk, BULK_INTERVAL_MS);
+    }
+}
+
+/*
+    Function: scheduleApplyMarks / applyMarks
+
+    Purpose
+    Coalesce streamed positives and mark their anchors in one DOM pass per frame.
+
+    Inputs
+    - None (reads pendingMarks)
+
+    Outputs
+    - void
+*/
+function scheduleApplyMarks() {
+    if (applyMarksScheduled) return;
+    applyMarksScheduled = true;
+    requestAnimationFrame(applyMarks);
+}
+function applyMarks() {
+    // Take the accumulated positives; drop them if marking was paused meanwhile.
+    applyMarksScheduled = false;
+    const marks = pendingMarks;
+    pendingMarks = new Map();
+    if (markingPaused || !marks.size) return;
+
+    // Re-scan current DOM snapshot and mark passing anchors.
+    let marked = 0;
+    for (const a of queryAllDeep(document, SELECTOR_LIST)) {
+        if (!isChannelNameAnchor(a)) continue;
+        if (a.querySelector(".subscription-marker")) continue;
+        const ref = extractRef(a);
+        if (!ref || !marks.has(ref)) continue;
+        addMarker(a, marks.get(ref));
+        marked += 1;
+    }
+
+    // Log how many markers were added this pass.
+    if (marked > 0) logger.info("markers added", marked);
+}
+
 /*
     Function: flushBulk
 
     Purpose
-    Send a batch of pending references to the background and append markers for positive results.
+    Send a batch of pending references to the background over the bulk port; results stream back
+    and are marked as they arrive.
 
     Inputs
     - None
@@ -525,51 +836,322 @@ async function flushBulk() {
     }
     for (const id of ids) pendingRefs.delete(id);
 
-    // Request results from background script.
+    // Report page-harvested ids first so these refs resolve from cache.
+    await reportHarvest();
+
+    // Without a port, requeue to try again later.
+    const port = getBulkPort();
+    if (!port) {
+        logger.warn("bulk port unavailable; requeueing", ids.length);
+        for (const id of ids) pendingRefs.add(id);
+        setTimeout(flushBulk, BULK_INTERVAL_MS);
+        return;
+    }
+
+    // Track the request so streamed results can be matched and requeued on failure.
+    const requestId = ++bulkRequestSeq;
+    bulkRequests.set(requestId, { refs: new Set(ids), epoch: identityEpoch });
+    for (const id of ids) inFlightRefs.add(id);
     logger.info("bulk request", ids.length);
-    let response = null;
     try {
-        response = await safeSendMessage({ type: "bulkCheckChannels", ids });
+        port.postMessage({ type: "bulkCheckChannels", requestId, ids });
     } catch {
-        response = null;
+        // The port died between lookup and post; onDisconnect requeues.
+        bulkPort = null;
     }
 
-    // On failure, requeue to try again later.
-    if (!response || !response.results) {
-        logger.warn("bulk response missing; requeueing", ids.length);
-        for (const id of ids) pendingRefs.add(id);
-        return;
+    // If more work is queued, send the next batch without waiting for this one.
+    if (pendingRefs.size) {
+        setTimeout(flushBulk, BULK_INTERVAL_MS);
     }
+}
 
-    // Re-scan current DOM snapshot and mark passing anchors.
-    const results = response.results;
-    const anchors = queryAllDeep(document, SELECTOR_LIST);
-    let marked = 0;
-    for (const a of anchors) {
-        if (!isChannelNameAnchor(a)) continue;
-        if (a.querySelector(".subscription-marker")) continue;
-        const ref = extractRef(a);
-        if (!ref) continue;
-        if (results[ref] === true) {
-            addMarker(a);
-            marked += 1;
+/*
+    Function: readPageSession
+
+    Purpose
+    Read the YouTube page's signed-in session from the inline ytcfg.set(...) bootstrap data.
+    Content scripts cannot reach window.ytcfg, but the script text is in the DOM.
+
+    Inputs
+    - None
+
+    Outputs
+    - { loggedIn: boolean, sessionIndex: string, delegatedSessionId: string, datasyncId: string } | null
+*/
+function readPageSession() {
+    // Scan inline scripts for the ytcfg payload and pick the session fields.
+    for (const sc of document.scripts) {
+        const text = sc.textContent || "";
+        if (!text.includes("ytcfg.set") || !text.includes("LOGGED_IN")) continue;
+        const pick = re => {
+            const m = text.match(re);
+            return m ? m[1] : "";
+        };
+        return {
+            loggedIn: pick(/"LOGGED_IN"\s*:\s*(true|false)/) === "true",
+            sessionIndex: pick(/"SESSION_INDEX"\s*:\s*"?(\d+)"?/),
+            delegatedSessionId: pick(/"DELEGATED_SESSION_ID"\s*:\s*"([^"]+)"/),
+            datasyncId: pick(/"DATASYNC_ID"\s*:\s*"([^"]+)"/)
+        };
+    }
+    return null;
+}
+
+/*
+    Function: readSelectedAccountChannelId
+
+    Purpose
+    Pick the page account's own channel id out of the account switcher response. Each account item
+    carries its channel id (without the "UC" prefix) as offlineCacheKeyToken.clientCacheKey; the page's
+    account is the item whose datasync token matches the session, or else the one marked isSelected.
+    Other channel ids in the response (photos, links) are never considered.
+
+    Inputs
+    - data: parsed getAccountSwitcherEndpoint JSON
+    - session: result of readPageSession
+
+    Outputs
+    - string|null UC channel id
+*/
+function readSelectedAccountChannelId(data, session) {
+    // Collect account items: objects whose service endpoint selects an identity.
+    const items = [];
+    const walk = node => {
+        if (!node || typeof node !== "object") return;
+        const tokens = node.serviceEndpoint?.selectActiveIdentityEndpoint?.supportedTokens;
+        if (Array.isArray(tokens)) items.push({ selected: node.isSelected === true, tokens });
+        for (const v of Object.values(node)) walk(v);
+    };
+    walk(data);
+
+    // Prefer the item tied to this session's datasync id, then the selected one.
+    const tokenOf = (item, name) => item.tokens.find(t => t && t[name])?.[name];
+    const item = items.find(it => session.datasyncId && tokenOf(it, "datasyncIdToken")?.datasyncIdToken === session.datasyncId)
+        || items.find(it => it.selected);
+    const key = item ? tokenOf(item, "offlineCacheKeyToken")?.clientCacheKey : null;
+    return typeof key === "string" && /^[0-9A-Za-z_-]{22}$/.test(key) ? `UC${key}` : null;
+}
+
+/*
+    Function: resolvePageChannelId
+
+    Purpose
+    Find the UC channel id of the account browsing this page from YouTube's account switcher, which
+    lists the signed-in accounts and marks the current one. Only a found id is cached, per session in
+    sessionStorage; a failed or ambiguous lookup is retried on the next check.
+
+    Inputs
+    - session: result of readPageSession
+
+    Outputs
+    - Promise<string|null>
+*/
+async function resolvePageChannelId(session) {
+    // Reuse a prior answer for the same session fingerprint.
+    const fp = `${session.datasyncId}|${session.sessionIndex}|${session.delegatedSessionId}`;
+    try {
+        const cached = JSON.parse(sessionStorage.getItem(PAGE_ACCOUNT_CACHE_KEY) || "null");
+        if (cached && cached.fp === fp && cached.channelId) return cached.channelId;
+    } catch {}
+
+    // Ask YouTube for the same account/brand selection the page is using.
+    try {
+        const params = new URLSearchParams();
+        if (session.sessionIndex) params.set("authuser", session.sessionIndex);
+        if (session.delegatedSessionId) params.set("pageid", session.delegatedSessionId);
+        const resp = await fetch(`/getAccountSwitcherEndpoint?${params}`, { credentials: "include" });
+        if (!resp.ok) return null;
+
+        // The body is JSON behind an anti-XSSI prefix.
+        const text = await resp.text();
+        const channelId = readSelectedAccountChannelId(JSON.parse(text.slice(text.indexOf("{"))), session);
+        if (!channelId) {
+            logger.info("page account not found in account switcher");
+            return null;
         }
+        try { sessionStorage.setItem(PAGE_ACCOUNT_CACHE_KEY, JSON.stringify({ fp, channelId })); } catch {}
+        return channelId;
+    } catch (e) {
+        logger.warn("page account lookup failed", e && e.message ? e.message : String(e));
+        return null;
     }
+}
 
-    // Log how many markers were added this pass.
-    if (marked > 0) logger.info("markers added", marked);
+/*
+    Function: showMismatchBanner
 
-    // If work remains, schedule another flush.
-    if (pendingRefs.size) {
-        setTimeout(flushBulk, BULK_INTERVAL_MS);
+    Purpose
+    Show a small fixed banner explaining that markers come from a different account, with actions.
+
+    Inputs
+    - info: { pageChannelId, active: { channelId, title }, match: { channelId, title } | null, paused: boolean,
+      switchFailed: boolean }
+
+    Outputs
+    - void
+*/
+function showMismatchBanner(info) {
+    // Replace any previous banner.
+    hideMismatchBanner();
+    const bar = document.createElement("div");
+    bar.id = MISMATCH_BANNER_ID;
+    bar.setAttribute("role", "alert");
+    Object.assign(bar.style, {
+        position: "fixed", right: "16px", bottom: "16px", zIndex: "2147483647", maxWidth: "360px",
+        padding: "10px 12px", borderRadius: "8px", background: "#202124", color: "#fff",
+        font: "13px/1.4 Roboto, Arial, sans-serif", boxShadow: "0 2px 8px rgba(0,0,0,.4)"
+    });
+
+    const text = document.createElement("div");
+    const activeName = info.active.title || info.active.channelId;
+    text.textContent = `Subscription markers are for "${activeName}", but this page is signed in as a different channel (${info.pageChannelId}).`
+        + (info.switchFailed ? " That channel is not signed in to the extension, so it could not switch to it." : "")
+        + (info.paused ? " Marking is paused." : "");
+    bar.appendChild(text);
+
+    // Buttons: switch (when that channel is signed in to the extension) and dismiss.
+    const actions = document.createElement("div");
+    Object.assign(actions.style, { marginTop: "8px", display: "flex", gap: "8px" });
+    const mkBtn = (label, onClick) => {
+        const b = document.createElement("button");
+        b.textContent = label;
+        Object.assign(b.style, { cursor: "pointer", border: "0", borderRadius: "4px", padding: "4px 8px" });
+        b.addEventListener("click", onClick);
+        actions.appendChild(b);
+    };
+    if (info.match) {
+        mkBtn(`Use "${info.match.title || info.match.channelId}"`, () => {
+            void safeSendMessage({ type: "setActiveIdentity", channelId: info.match.channelId });
+            hideMismatchBanner();
+        });
+    }
+    mkBtn("Dismiss", () => hideMismatchBanner());
+    bar.appendChild(actions);
+    (document.body || document.documentElement).appendChild(bar);
+}
+
+/*
+    Function: hideMismatchBanner
+
+    Purpose
+    Remove the account mismatch banner if shown.
+
+    Inputs
+    - None
+
+    Outputs
+    - void
+*/
+function hideMismatchBanner() {
+    // Look up by id; the banner lives in the light DOM.
+    const el = document.getElementById(MISMATCH_BANNER_ID);
+    if (el) el.remove();
+}
+
+/*
+    Function: checkAccountMismatch
+
+    Purpose
+    Compare the page's account with the extension's active identity and react per ACCOUNT_MISMATCH_MODE:
+    warn only, pause marking, or switch to a matching signed-in identity.
+
+    Inputs
+    - None
+
+    Outputs
+    - Promise<void>
+*/
+async function checkAccountMismatch() {
+    // Nothing to compare when the page is signed out or the extension has no identity.
+    const session = readPageSession();
+    const list = await safeSendMessage({ type: "listIdentities" });
+    const active = list && list.active ? (list.identities || []).find(i => i.channelId === list.active) : null;
+    if (!session || !session.loggedIn || !active) {
+        setMarkingPaused(false);
+        hideMismatchBanner();
+        return;
+    }
+
+    // Resolve the page channel; unknown means we cannot claim a mismatch.
+    const pageChannelId = await resolvePageChannelId(session);
+    if (!pageChannelId || pageChannelId === active.channelId) {
+        setMarkingPaused(false);
+        hideMismatchBanner();
+        return;
+    }
+
+    // Mismatch: pick the reaction configured on the options page.
+    const match = (list.identities || []).find(i => i.channelId === pageChannelId) || null;
+    logger.warn("account mismatch", "page", pageChannelId, "extension", active.channelId);
+    if (ACCOUNT_MISMATCH_MODE === "switch" && match) {
+        void safeSendMessage({ type: "setActiveIdentity", channelId: match.channelId });
+        hideMismatchBanner();
+        return;
+    }
+    // Otherwise pause (pause mode, or switch mode with no identity to switch to) and always say so.
+    const paused = ACCOUNT_MISMATCH_MODE !== "warn";
+    const switchFailed = ACCOUNT_MISMATCH_MODE === "switch" && !match;
+    setMarkingPaused(paused);
+    showMismatchBanner({ pageChannelId, active, match, paused, switchFailed });
+}
+
+/*
+    Function: setMarkingPaused
+
+    Purpose
+    Pause or resume marking; pausing removes existing markers, resuming re-checks the page.
+
+    Inputs
+    - paused: boolean
+
+    Outputs
+    - void
+*/
+function setMarkingPaused(paused) {
+    // Act only on transitions to avoid rescans on every check.
+    if (paused === markingPaused) return;
+    markingPaused = paused;
+    if (paused) {
+        for (const img of queryAllDeep(document, [".subscription-marker"])) img.remove();
+    } else {
+        resetMarkers();
     }
 }
 
+/*
+    Code Block: Page Harvest Listener
+
+    Purpose
+    Accept handle -> UC pairs from page-harvest.js. Only well-formed pairs from this window are kept;
+    they are reported with the next bulk check.
+
+    Inputs
+    - YTSM_HARVEST messages: { type, pairs: [ref, uc][] }
+
+    Outputs
+    - None (pairs queued in harvestedPairs)
+*/
+window.addEventListener("message", evt => {
+    try {
+        const data = evt && evt.data;
+        if (evt.source !== window || !data || data.type !== HARVEST_MESSAGE || !Array.isArray(data.pairs)) return;
+        for (const pair of data.pairs.slice(0, HARVEST_MAX_PAIRS)) {
+            if (!Array.isArray(pair)) continue;
+            const [ref, uc] = pair;
+            if (typeof ref !== "string" || !/^(@[^/\s]+|\/(c|user)\/[^/\s]+)$/.test(ref)) continue;
+            if (typeof uc !== "string" || !/^UC[0-9A-Za-z_-]{22}$/.test(uc)) continue;
+            harvestedPairs.set(ref, uc);
+        }
+    } catch {}
+});
+
 /*
     Code Block: Debug Bridges (Resolve / Identity / Account / Invalidate)
 
     Purpose
-    Expose optional test hooks via window.postMessage. Gated behind DEBUG to reduce surface area and noise.
+    Expose optional test hooks via window.postMessage. Gated behind DEBUG to reduce surface area and noise;
+    the flag is checked per message so the options-page toggle applies without a reload.
 
     Inputs
     - Messages: YTSM_DEBUG_RESOLVE, YTSM_WHOAMI, YTSM_LOGOUT, YTSM_REAUTH, YTSM_INVALIDATE
@@ -577,65 +1159,67 @@ async function flushBulk() {
     Outputs
     - Matching *_RESULT messages posted back to window
 */
-if (DEBUG) {
-    // Resolve test bridge.
-    window.addEventListener("message", evt => {
-        try {
-            const data = evt && evt.data;
-            if (!data) return;
-            if (data.type === "YTSM_DEBUG_RESOLVE") {
-                const ref = String(data.ref || "");
-                safeSendMessage({ type: "debugResolve", ref })
-                    .then(result => { try { window.postMessage({ type: "YTSM_DEBUG_RESULT", payload: result }, "*"); } catch {} })
-                    .catch(err => { try { window.postMessage({ type: "YTSM_DEBUG_RESULT", error: err && err.message ? err.message : String(err) }, "*"); } catch {} });
-            }
-        } catch {}
-    });
+// Resolve test bridge.
+window.addEventListener("message", evt => {
+    if (!DEBUG) return;
+    try {
+        const data = evt && evt.data;
+        if (!data) return;
+        if (data.type === "YTSM_DEBUG_RESOLVE") {
+            const ref = String(data.ref || "");
+            safeSendMessage({ type: "debugResolve", ref })
+                .then(result => { try { window.postMessage({ type: "YTSM_DEBUG_RESULT", payload: result }, "*"); } catch {} })
+                .catch(err => { try { window.postMessage({ type: "YTSM_DEBUG_RESULT", error: err && err.message ? err.message : String(err) }, "*"); } catch {} });
+        }
+    } catch {}
+});
 
-    // Identity bridge.
-    window.addEventListener("message", evt => {
-        try {
-            const data = evt && evt.data;
-            if (!data) return;
-            if (data.type === "YTSM_WHOAMI") {
-                safeSendMessage({ type: "whoami" })
-                    .then(result => { try { window.postMessage({ type: "YTSM_WHOAMI_RESULT", payload: result }, "*"); } catch {} })
-                    .catch(err => { try { window.postMessage({ type: "YTSM_WHOAMI_RESULT", error: err && err.message ? err.message : String(err) }, "*"); } catch {} });
-            }
-        } catch {}
-    });
+// Identity bridge.
+window.addEventListener("message", evt => {
+    if (!DEBUG) return;
+    try {
+        const data = evt && evt.data;
+        if (!data) return;
+        if (data.type === "YTSM_WHOAMI") {
+            safeSendMessage({ type: "whoami" })
+                .then(result => { try { window.postMessage({ type: "YTSM_WHOAMI_RESULT", payload: result }, "*"); } catch {} })
+                .catch(err => { try { window.postMessage({ type: "YTSM_WHOAMI_RESULT", error: err && err.message ? err.message : String(err) }, "*"); } catch {} });
+        }
+    } catch {}
+});
 
-    // Account control bridges (logout, reauth).
-    window.addEventListener("message", evt => {
-        try {
-            const data = evt && evt.data;
-            if (!data) return;
-            if (data.type === "YTSM_LOGOUT") {
-                safeSendMessage({ type: "logout" })
-                    .then(result => { try { window.postMessage({ type: "YTSM_LOGOUT_RESULT", payload: result }, "*"); } catch {} })
-                    .catch(err => { try { window.postMessage({ type: "YTSM_LOGOUT_RESULT", error: err && err.message ? err.message : String(err) }, "*"); } catch {} });
-            }
-            if (data.type === "YTSM_REAUTH") {
-                safeSendMessage({ type: "reauth" })
-                    .then(result => { try { window.postMessage({ type: "YTSM_REAUTH_RESULT", payload: result }, "*"); } catch {} })
-                    .catch(err => { try { window.postMessage({ type: "YTSM_REAUTH_RESULT", error: err && err.message ? err.message : String(err) }, "*"); } catch {} });
-            }
-        } catch {}
-    });
+// Account control bridges (logout, reauth).
+window.addEventListener("message", evt => {
+    if (!DEBUG) return;
+    try {
+        const data = evt && evt.data;
+        if (!data) return;
+        if (data.type === "YTSM_LOGOUT") {
+            safeSendMessage({ type: "logout" })
+                .then(result => { try { window.postMessage({ type: "YTSM_LOGOUT_RESULT", payload: result }, "*"); } catch {} })
+                .catch(err => { try { window.postMessage({ type: "YTSM_LOGOUT_RESULT", error: err && err.message ? err.message : String(err) }, "*"); } catch {} });
+        }
+        if (data.type === "YTSM_REAUTH") {
+            safeSendMessage({ type: "reauth" })
+                .then(result => { try { window.postMessage({ type: "YTSM_REAUTH_RESULT", payload: result }, "*"); } catch {} })
+                .catch(err => { try { window.postMessage({ type: "YTSM_REAUTH_RESULT", error: err && err.message ? err.message : String(err) }, "*"); } catch {} });
+        }
+    } catch {}
+});
 
-    // Invalidate handle/url cache bridge.
-    window.addEventListener("message", evt => {
-        try {
-            const d = evt && evt.data;
-            if (!d || d.type !== "YTSM_INVALIDATE") return;
-            const ref = String(d.ref || "");
-            const key = ref.startsWith("@") || ref.startsWith("/") ? ref : "@" + ref;
-            safeSendMessage({ type: "invalidateHandle", handle: key })
-                .then(r => { try { window.postMessage({ type: "YTSM_INVALIDATE_RESULT", payload: r }, "*"); } catch {} })
-                .catch(e => { try { window.postMessage({ type: "YTSM_INVALIDATE_RESULT", error: e && e.message ? e.message : String(e) }, "*"); } catch {} });
-        } catch {}
-    });
-}
+// Invalidate handle/url cache bridge.
+window.addEventListener("message", evt => {
+    if (!DEBUG) return;
+    try {
+        const d = evt && evt.data;
+        if (!d || d.type !== "YTSM_INVALIDATE") return;
+        const ref = String(d.ref || "");
+        const key = ref.startsWith("@") || ref.startsWith("/") ? ref : "@" + ref;
+        safeSendMessage({ type: "invalidateHandle", handle: key })
+            .then(r => { try { window.postMessage({ type: "YTSM_INVALIDATE_RESULT", payload: r }, "*"); } catch {} })
+            .catch(e => { try { window.postMessage({ type: "YTSM_INVALIDATE_RESULT", error: e && e.message ? e.message : String(e) }, "*"); } catch {} });
+    } catch {}
+});
 
 /*
     Function: start
@@ -650,6 +1234,9 @@ if (DEBUG) {
     - void
 */
 function start() {
+    // Nothing runs before the tunables are known; the script entry starts once they are.
+    if (!sanitizeSettings) return;
+
     // Ensure clean state by stopping any prior observers/timers.
     stop();
 
@@ -667,8 +1254,11 @@ function start() {
     lastBulkAt = 0;
     setTimeout(() => void flushBulk(), 100);
 
-    // Opportunistic subscriptions refresh.
+    // Opportunistic subscriptions refresh; the worker probes cheaply and re-pages only on change.
     void safeSendMessage({ type: "refreshSubscriptions" });
+
+    // Warn if markers would come from a different account than the page's.
+    void checkAccountMismatch();
 }
 
 /*
@@ -692,6 +1282,15 @@ function stop() {
 
     // Empty any queued references.
     pendingRefs.clear();
+
+    // Drop the bulk port; a disconnect we initiate does not fire our onDisconnect, so forget requests here.
+    if (bulkPort) {
+        try { bulkPort.disconnect(); } catch {}
+        bulkPort = null;
+    }
+    bulkRequests.clear();
+    inFlightRefs.clear();
+    pendingMarks.clear();
 }
 
 /*
@@ -720,7 +1319,7 @@ document.addEventListener("visibilitychange", () => {
     Code Block: Script Entry
 
     Purpose
-    Kick off the content script logic.
+    Kick off the content script logic once the settings are applied.
 
     Inputs
     - None
@@ -728,4 +1327,4 @@ document.addEventListener("visibilitychange", () => {
     Outputs
     - None
 */
-start();
+settingsReady.then(start, e => logger.error("settings schema failed to load", e && e.message ? e.message : String(e)));
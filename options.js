@@ -0,0 +1,240 @@
+// options.js
+
+// Import the shared tunables schema and validation helpers.
+import { SETTINGS_KEY, DEBUG_KEY, SETTINGS_SCHEMA, defaultSettings, sanitizeSettings, validateSetting } from "./settings.js";
+
+/*
+    Module: Options Page
+
+    Purpose
+    Edit the tunables described by SETTINGS_SCHEMA and the debug flag. Values are validated before
+    being written to chrome.storage.local, where the service worker and content scripts pick them up live.
+*/
+
+// Cached DOM references.
+const form = document.getElementById("settings-form");
+const statusEl = document.getElementById("status");
+const debugEl = document.getElementById("debug");
+const resetEl = document.getElementById("reset");
+
+/*
+    Function: formatHint
+
+    Purpose
+    Describe a setting's default and bounds in human-friendly units.
+
+    Inputs
+    - spec: schema entry
+
+    Outputs
+    - string
+*/
+function formatHint(spec) {
+    // Enumerations list their choices; millisecond values use the largest whole unit.
+    if (spec.type === "enum") return `Default ${spec.default}; one of ${spec.options.join(", ")}.`;
+    const fmt = v => {
+        if (spec.unit !== "ms") return `${v} ${spec.unit}`;
+        if (v % 3_600_000 === 0) return `${v / 3_600_000} h`;
+        if (v % 60_000 === 0) return `${v / 60_000} min`;
+        if (v % 1000 === 0) return `${v / 1000} s`;
+        return `${v} ms`;
+    };
+    return `Default ${fmt(spec.default)}; allowed ${fmt(spec.min)} to ${fmt(spec.max)}.`;
+}
+
+/*
+    Function: renderFields
+
+    Purpose
+    Build one labeled input per schema entry (number field or choice list), grouped by scope.
+
+    Inputs
+    - None
+
+    Outputs
+    - void
+*/
+function renderFields() {
+    // Append a row for each setting into its scope container.
+    for (const [name, spec] of Object.entries(SETTINGS_SCHEMA)) {
+        const host = document.getElementById(`fields-${spec.scope}`);
+        if (!host) continue;
+
+        const row = document.createElement("div");
+        row.className = "row";
+
+        const label = document.createElement("label");
+        label.htmlFor = name;
+        label.textContent = spec.unit ? `${spec.label} (${spec.unit})` : spec.label;
+
+        let input;
+        if (spec.type === "enum") {
+            input = document.createElement("select");
+            for (const opt of spec.options) {
+                const o = document.createElement("option");
+                o.value = opt;
+                o.textContent = opt;
+                input.appendChild(o);
+            }
+        } else {
+            input = document.createElement("input");
+            input.type = "number";
+            input.min = String(spec.min);
+            input.max = String(spec.max);
+            input.step = "1";
+        }
+        input.id = name;
+        input.name = name;
+
+        const hint = document.createElement("div");
+        hint.className = "hint";
+        hint.textContent = `${name}. ${formatHint(spec)}`;
+
+        const error = document.createElement("div");
+        error.className = "error";
+        error.id = `${name}-error`;
+
+        row.append(label, input, hint, error);
+        host.appendChild(row);
+    }
+}
+
+/*
+    Function: fillForm
+
+    Purpose
+    Populate inputs from a complete settings object and debug flag.
+
+    Inputs
+    - settings: { [name]: number|string }
+    - debug: boolean
+
+    Outputs
+    - void
+*/
+function fillForm(settings, debug) {
+    // Write values and clear any previous validation state.
+    for (const name of Object.keys(SETTINGS_SCHEMA)) {
+        const input = document.getElementById(name);
+        if (!input) continue;
+        input.value = String(settings[name]);
+        input.classList.remove("invalid");
+        document.getElementById(`${name}-error`).textContent = "";
+    }
+    debugEl.checked = !!debug;
+}
+
+/*
+    Function: readForm
+
+    Purpose
+    Validate every input and collect the values that passed.
+
+    Inputs
+    - None
+
+    Outputs
+    - { ok: boolean, settings: { [name]: number|string } }
+*/
+function readForm() {
+    // Validate each field and flag failures inline.
+    let ok = true;
+    const settings = {};
+    for (const name of Object.keys(SETTINGS_SCHEMA)) {
+        const input = document.getElementById(name);
+        const errorEl = document.getElementById(`${name}-error`);
+        const v = validateSetting(name, input.value);
+        input.classList.toggle("invalid", !v.ok);
+        errorEl.textContent = v.ok ? "" : v.error;
+        if (v.ok) settings[name] = v.value; else ok = false;
+    }
+    return { ok, settings };
+}
+
+/*
+    Function: showStatus
+
+    Purpose
+    Flash a short status line next to the action buttons.
+
+    Inputs
+    - text: string
+
+    Outputs
+    - void
+*/
+function showStatus(text) {
+    // Clear the message after a short delay.
+    statusEl.textContent = text;
+    setTimeout(() => { if (statusEl.textContent === text) statusEl.textContent = ""; }, 2500);
+}
+
+/*
+    Function: load
+
+    Purpose
+    Read stored settings, sanitize them, and fill the form.
+
+    Inputs
+    - None
+
+    Outputs
+    - void
+*/
+function load() {
+    // Stored values are validated the same way the service worker validates them.
+    chrome.storage.local.get([SETTINGS_KEY, DEBUG_KEY], data => {
+        fillForm(sanitizeSettings(data[SETTINGS_KEY]), data[DEBUG_KEY] === true);
+    });
+}
+
+/*
+    Code Block: Form Handlers
+
+    Purpose
+    Save validated values, reset to defaults, and keep the form in sync with external changes.
+
+    Inputs
+    - submit, click and storage change events
+
+    Outputs
+    - Writes SETTINGS_KEY and DEBUG_KEY to chrome.storage.local
+*/
+form.addEventListener("submit", evt => {
+    // Refuse to save while any field is invalid.
+    evt.preventDefault();
+    const { ok, settings } = readForm();
+    if (!ok) {
+        showStatus("Fix the highlighted fields.");
+        return;
+    }
+    chrome.storage.local.set({ [SETTINGS_KEY]: settings, [DEBUG_KEY]: debugEl.checked }, () => showStatus("Saved."));
+});
+
+resetEl.addEventListener("click", () => {
+    // Remove stored overrides so every consumer falls back to defaults.
+    chrome.storage.local.remove([SETTINGS_KEY, DEBUG_KEY], () => {
+        fillForm(defaultSettings(), false);
+        showStatus("Defaults restored.");
+    });
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    // Reflect edits made from another options tab.
+    if (area === "local" && (changes[SETTINGS_KEY] || changes[DEBUG_KEY])) load();
+});
+
+/*
+    Code Block: Page Entry
+
+    Purpose
+    Render inputs and load current values.
+
+    Inputs
+    - None
+
+    Outputs
+    - None
+*/
+renderFields();
+load();
@@ -0,0 +1,179 @@
+// page-harvest.js
+
+/*
+    Module: Page Data Harvester
+
+    Purpose
+    Runs in the page's MAIN world, where YouTube's renderer data is reachable (window.ytInitialData and
+    the data properties of ytd-* elements). Every navigation endpoint there pairs a channel's UC id
+    (browseId) with its canonical URL (/@handle, /c/name, /user/name); those pairs are posted to the
+    content script so channel links resolve without fetching channel pages.
+*/
+(() => {
+    // Message tag shared with content.js, and bounds on how much renderer data one scan walks.
+    const HARVEST_MESSAGE = "YTSM_HARVEST";
+    const MAX_DEPTH = 14;
+    const MAX_NODES_PER_ROOT = 20000;
+    const SCAN_DEBOUNCE_MS = 400;
+
+    // Renderers whose data carries channel navigation endpoints.
+    const RENDERER_SELECTOR = [
+        "ytd-channel-name",
+        "ytd-video-owner-renderer",
+        "ytd-video-renderer",
+        "ytd-rich-item-renderer",
+        "ytd-grid-video-renderer",
+        "ytd-compact-video-renderer",
+        "ytd-playlist-video-renderer",
+        "ytd-channel-renderer",
+        "ytd-grid-channel-renderer",
+        "ytd-reel-item-renderer",
+        "ytd-comment-view-model",
+        "ytd-comment-renderer"
+    ].join(",");
+
+    // Pairs already posted, and renderer data objects already walked.
+    const sent = new Map();
+    const seenData = new WeakSet();
+    let scanTimer = null;
+
+    /*
+        Function: refFromCanonicalUrl
+
+        Purpose
+        Turn a canonicalBaseUrl into the reference token content.js extracts from the same link.
+
+        Inputs
+        - url: string like "/@Name", "/c/Name", "/user/Name"
+
+        Outputs
+        - string | null
+    */
+    function refFromCanonicalUrl(url) {
+        // Handles are lowercased exactly as parseChannelRefFromHref does; /c and /user keep their case.
+        const path = String(url || "").split(/[?#]/)[0];
+        let m = path.match(/^\/@([^/]+)$/);
+        if (m) return "@" + m[1].toLowerCase();
+        m = path.match(/^\/(c|user)\/([^/]+)$/);
+        if (m) return `/${m[1]}/${m[2]}`;
+        return null;
+    }
+
+    /*
+        Function: collectPairs
+
+        Purpose
+        Walk a renderer data graph (bounded) and collect ref -> UC pairs from browseEndpoint objects.
+
+        Inputs
+        - root: object renderer data or ytInitialData
+        - out: Map<string, string> receiving pairs
+
+        Outputs
+        - void
+    */
+    function collectPairs(root, out) {
+        // Iterative walk with a depth limit and a node budget.
+        const stack = [[root, 0]];
+        let nodes = 0;
+        while (stack.length && nodes < MAX_NODES_PER_ROOT) {
+            const [node, depth] = stack.pop();
+            if (!node || typeof node !== "object" || depth > MAX_DEPTH) continue;
+            nodes += 1;
+
+            // A browse endpoint to a channel names both the UC id and its canonical URL.
+            const be = node.browseEndpoint;
+            if (be && typeof be.browseId === "string" && /^UC[0-9A-Za-z_-]{22}$/.test(be.browseId)) {
+                const ref = refFromCanonicalUrl(be.canonicalBaseUrl);
+                if (ref) out.set(ref, be.browseId);
+            }
+
+            for (const key in node) {
+                const v = node[key];
+                if (v && typeof v === "object") stack.push([v, depth + 1]);
+            }
+        }
+    }
+
+    /*
+        Function: scan
+
+        Purpose
+        Harvest pairs from ytInitialData and the data of rendered channel-bearing elements, and post
+        the ones not sent before.
+
+        Inputs
+        - None
+
+        Outputs
+        - void
+    */
+    function scan() {
+        const found = new Map();
+
+        // Initial page data (replaced on SPA navigations).
+        const initial = window.ytInitialData;
+        if (initial && !seenData.has(initial)) {
+            seenData.add(initial);
+            collectPairs(initial, found);
+        }
+
+        // Polymer elements expose their renderer object as .data (older builds as __data.data).
+        for (const el of document.querySelectorAll(RENDERER_SELECTOR)) {
+            const data = el.data || el.__data?.data;
+            if (!data || typeof data !== "object" || seenData.has(data)) continue;
+            seenData.add(data);
+            collectPairs(data, found);
+        }
+
+        // Post only new or changed pairs.
+        const pairs = [];
+        for (const [ref, uc] of found) {
+            if (sent.get(ref) === uc) continue;
+            sent.set(ref, uc);
+            pairs.push([ref, uc]);
+        }
+        if (pairs.length) window.postMessage({ type: HARVEST_MESSAGE, pairs }, location.origin);
+    }
+
+    /*
+        Function: scheduleScan
+
+        Purpose
+        Debounce scans triggered by DOM mutations and navigations.
+
+        Inputs
+        - None
+
+        Outputs
+        - void
+    */
+    function scheduleScan() {
+        if (scanTimer) return;
+        scanTimer = setTimeout(() => {
+            scanTimer = null;
+            try {
+                scan();
+            } catch {}
+        }, SCAN_DEBOUNCE_MS);
+    }
+
+    /*
+        Code Block: Harvester Entry
+
+        Purpose
+        Scan now (before content.js sends its first bulk check), after each SPA navigation, and whenever
+        the DOM changes.
+
+        Inputs
+        - yt-navigate-finish events, DOM mutations
+
+        Outputs
+        - None
+    */
+    document.addEventListener("yt-navigate-finish", scheduleScan);
+    new MutationObserver(scheduleScan).observe(document.documentElement, { childList: true, subtree: true });
+    try {
+        scan();
+    } catch {}
+})();
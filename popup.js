@@ -0,0 +1,331 @@
+// popup.js
+
+/*
+    Module: Toolbar Popup
+
+    Purpose
+    Show who is signed in, the state of the local subscriptions index, and the last error, and offer
+    refresh / sign-in / sign-out actions on top of the service worker's message handlers.
+*/
+
+// Cached DOM references.
+const identityEl = document.getElementById("identity");
+const identitySelect = document.getElementById("identity-select");
+const totalEl = document.getElementById("total");
+const updatedEl = document.getElementById("updated");
+const syncEl = document.getElementById("sync");
+const quotaEl = document.getElementById("quota");
+const changesEl = document.getElementById("changes");
+const changesListEl = document.getElementById("changes-list");
+const errorEl = document.getElementById("error");
+const refreshBtn = document.getElementById("refresh");
+const reauthBtn = document.getElementById("reauth");
+const logoutBtn = document.getElementById("logout");
+const optionsLink = document.getElementById("options");
+
+// Poll cadence while a sync is running, and the change-history window.
+const POLL_MS = 1000;
+const CHANGES_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const CHANGES_LIST_MAX = 6;
+let pollTimer = null;
+let busy = false;
+
+/*
+    Function: sendMessage
+
+    Purpose
+    Send a message to the service worker and normalize failures to null.
+
+    Inputs
+    - message: object with a "type" field
+
+    Outputs
+    - Promise<any|null>
+*/
+function sendMessage(message) {
+    // Resolve null on runtime errors instead of rejecting.
+    return new Promise(resolve => {
+        try {
+            chrome.runtime.sendMessage(message, response => {
+                if (chrome.runtime.lastError) return resolve(null);
+                resolve(response ?? null);
+            });
+        } catch {
+            resolve(null);
+        }
+    });
+}
+
+/*
+    Function: formatTime
+
+    Purpose
+    Render a timestamp as a short local date/time, or "never" when unset.
+
+    Inputs
+    - ts: number epoch milliseconds
+
+    Outputs
+    - string
+*/
+function formatTime(ts) {
+    // Zero means the index has never been synced.
+    return ts ? new Date(ts).toLocaleString() : "never";
+}
+
+/*
+    Function: renderStatus
+
+    Purpose
+    Apply a getStatus response to the popup and (re)arm polling while syncing.
+
+    Inputs
+    - status: getStatus response or null
+
+    Outputs
+    - void
+*/
+function renderStatus(status) {
+    // Treat a missing response as an unreachable service worker.
+    if (!status) {
+        syncEl.textContent = "unavailable";
+        return;
+    }
+
+    totalEl.textContent = String(status.total);
+    updatedEl.textContent = formatTime(status.updatedAt) + (status.stale ? " (stale)" : "");
+    syncEl.textContent = status.syncing ? "running…" : "idle";
+    if (status.syncing && status.syncProgress) {
+        const p = status.syncProgress;
+        syncEl.textContent = `running… ${p.fetched}${p.total ? ` / ${p.total}` : ""}`;
+    }
+
+    // Show a quota pause first, else the last recorded failure, if any.
+    if (status.apiPausedUntil) {
+        errorEl.textContent = `YouTube API quota exhausted; paused until ${formatTime(status.apiPausedUntil)}`;
+        errorEl.hidden = false;
+    } else if (status.lastError) {
+        errorEl.textContent = `${status.lastError.context}: ${status.lastError.message} (${formatTime(status.lastError.at)})`;
+        errorEl.hidden = false;
+    } else {
+        errorEl.hidden = true;
+    }
+
+    // Offer a picker once more than one identity is known.
+    renderIdentities(status.identities || [], status.identity ? status.identity.channelId : "");
+
+    // Adjust actions to the auth state.
+    reauthBtn.textContent = status.identity ? "Add account" : "Sign in";
+    refreshBtn.disabled = busy || !status.authenticated || status.syncing;
+    logoutBtn.disabled = busy || !status.authenticated;
+    reauthBtn.disabled = busy;
+    identitySelect.disabled = busy || status.syncing;
+    if (status.needsSignIn) identityEl.textContent = "Sign-in required";
+    else if (!status.authenticated) identityEl.textContent = "Not signed in";
+
+    // Keep polling until the sync finishes.
+    clearTimeout(pollTimer);
+    if (status.syncing) pollTimer = setTimeout(refreshStatus, POLL_MS);
+}
+
+/*
+    Function: renderIdentities
+
+    Purpose
+    Fill the account picker with known identities and select the active one.
+
+    Inputs
+    - list: { channelId, title, needsSignIn }[]
+    - active: string active channel id
+
+    Outputs
+    - void
+*/
+function renderIdentities(list, active) {
+    // Rebuild options only when the set changed to keep the open dropdown stable.
+    const sig = list.map(i => `${i.channelId}:${i.title}:${i.needsSignIn ? 1 : 0}`).join("|");
+    if (identitySelect.dataset.sig !== sig) {
+        identitySelect.dataset.sig = sig;
+        identitySelect.textContent = "";
+        for (const i of list) {
+            const opt = document.createElement("option");
+            opt.value = i.channelId;
+            opt.textContent = (i.title || i.channelId) + (i.needsSignIn ? " (sign-in required)" : "");
+            identitySelect.appendChild(opt);
+        }
+    }
+    identitySelect.value = active;
+    identitySelect.hidden = list.length < 2;
+}
+
+/*
+    Function: refreshStatus
+
+    Purpose
+    Fetch and render the current status.
+
+    Inputs
+    - None
+
+    Outputs
+    - Promise<object|null> the status response
+*/
+async function refreshStatus() {
+    // Read and render in one step.
+    const status = await sendMessage({ type: "getStatus" });
+    renderStatus(status);
+    return status;
+}
+
+/*
+    Function: refreshIdentity
+
+    Purpose
+    Ask the service worker for the authenticated channel and show it.
+
+    Inputs
+    - None
+
+    Outputs
+    - Promise<void>
+*/
+async function refreshIdentity() {
+    // whoami costs one API unit; call it only on open and after account actions.
+    const res = await sendMessage({ type: "whoami" });
+    if (res && res.ok && res.identity) {
+        identityEl.textContent = `${res.identity.title || "(untitled)"} · ${res.identity.channelId}`;
+    } else {
+        const status = await sendMessage({ type: "getStatus" });
+        if (status && status.needsSignIn) identityEl.textContent = "Sign-in required";
+        else identityEl.textContent = status && status.authenticated ? "Unknown channel" : "Not signed in";
+    }
+}
+
+/*
+    Function: refreshChanges
+
+    Purpose
+    Show subscriptions added/removed in the recent window from the background change log.
+
+    Inputs
+    - None
+
+    Outputs
+    - Promise<void>
+*/
+async function refreshChanges() {
+    // Ask for net changes since the window start.
+    const res = await sendMessage({ type: "getSubscriptionChanges", since: Date.now() - CHANGES_WINDOW_MS });
+    changesListEl.textContent = "";
+    if (!res || !res.identity) {
+        changesEl.textContent = "–";
+        return;
+    }
+    changesEl.textContent = `+${res.added.length} / −${res.removed.length}`;
+
+    // List the newest few, additions first.
+    const rows = [
+        ...res.added.map(c => ({ ...c, sign: "+" })),
+        ...res.removed.map(c => ({ ...c, sign: "−" }))
+    ].sort((x, y) => y.ts - x.ts).slice(0, CHANGES_LIST_MAX);
+    for (const r of rows) {
+        const li = document.createElement("li");
+        li.textContent = `${r.sign} ${r.title || r.channelId}`;
+        li.title = `${r.channelId} · ${formatTime(r.ts)}`;
+        changesListEl.appendChild(li);
+    }
+}
+
+/*
+    Function: refreshQuota
+
+    Purpose
+    Show today's API unit spend, with a per-category breakdown against caps in the tooltip.
+
+    Inputs
+    - None
+
+    Outputs
+    - Promise<void>
+*/
+async function refreshQuota() {
+    // Read the ledger; it is maintained locally and costs no API units.
+    const res = await sendMessage({ type: "getQuotaLedger" });
+    if (!res) {
+        quotaEl.textContent = "–";
+        return;
+    }
+    quotaEl.textContent = `${res.total} units`;
+    quotaEl.title = Object.entries(res.categories)
+        .map(([cat, c]) => `${cat}: ${c.units}/${c.cap} units, ${c.calls} calls`)
+        .join("\n") + `\nResets ${formatTime(res.resetAt)}`;
+}
+
+/*
+    Function: runAction
+
+    Purpose
+    Disable actions, send one account/sync message, then refresh the view.
+
+    Inputs
+    - type: "refreshSubscriptions" | "reauth" | "logout" | "setActiveIdentity"
+    - extra: optional message fields
+
+    Outputs
+    - Promise<void>
+*/
+async function runAction(type, extra = {}) {
+    // Poll status while the action is in flight so "running" shows up.
+    busy = true;
+    syncEl.textContent = "running…";
+    for (const b of [refreshBtn, reauthBtn, logoutBtn]) b.disabled = true;
+    pollTimer = setTimeout(refreshStatus, POLL_MS);
+    try {
+        await sendMessage({ type, ...extra });
+    } finally {
+        busy = false;
+        await refreshStatus();
+        await refreshIdentity();
+        await refreshChanges();
+        await refreshQuota();
+    }
+}
+
+/*
+    Code Block: Action Handlers
+
+    Purpose
+    Wire buttons and the account picker to the service worker's refreshSubscriptions / reauth / logout /
+    setActiveIdentity handlers.
+
+    Inputs
+    - click events
+
+    Outputs
+    - None
+*/
+refreshBtn.addEventListener("click", () => void runAction("refreshSubscriptions", { force: true }));
+reauthBtn.addEventListener("click", () => void runAction("reauth"));
+logoutBtn.addEventListener("click", () => void runAction("logout"));
+identitySelect.addEventListener("change", () => void runAction("setActiveIdentity", { channelId: identitySelect.value }));
+optionsLink.addEventListener("click", evt => {
+    evt.preventDefault();
+    chrome.runtime.openOptionsPage();
+});
+
+/*
+    Code Block: Popup Entry
+
+    Purpose
+    Render status, identity, recent changes, and API usage when the popup opens.
+
+    Inputs
+    - None
+
+    Outputs
+    - None
+*/
+void refreshStatus();
+void refreshIdentity();
+void refreshChanges();
+void refreshQuota();
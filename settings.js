@@ -0,0 +1,274 @@
+// settings.js
+
+/*
+    Module: Settings Schema
+
+    Purpose
+    Single source of truth for user-tunable parameters: defaults, bounds, and validation.
+    Shared by the service worker, the options page and the content script (loaded there with a dynamic
+    import); values live in chrome.storage.local.
+*/
+
+// Storage keys for tunables and the debug flag.
+export const SETTINGS_KEY = "ytsm_settings";
+export const DEBUG_KEY = "ytsm_debug";
+
+/*
+    Code Block: Settings Schema
+
+    Purpose
+    Describe each tunable with its default, allowed range, and the label shown on the options page.
+
+    Inputs
+    - None
+
+    Outputs
+    - SETTINGS_SCHEMA: { [name]: { default, min, max, unit, label, scope } } for numbers, or
+      { type: "enum", default, options, label, scope } for a fixed set of string choices
+*/
+export const SETTINGS_SCHEMA = {
+    SUB_LIST_TTL_MS: {
+        default: 12 * 60 * 60 * 1000,
+        min: 15 * 60 * 1000,
+        max: 7 * 24 * 60 * 60 * 1000,
+        unit: "ms",
+        label: "Subscription list cache lifetime",
+        scope: "background"
+    },
+    NEGATIVE_CACHE_TTL_MS: {
+        default: 6 * 60 * 60 * 1000,
+        min: 60 * 1000,
+        max: 7 * 24 * 60 * 60 * 1000,
+        unit: "ms",
+        label: "Failed resolution cache lifetime",
+        scope: "background"
+    },
+    HANDLE_REVALIDATE_TTL_MS: {
+        default: 14 * 24 * 60 * 60 * 1000,
+        min: 24 * 60 * 60 * 1000,
+        max: 90 * 24 * 60 * 60 * 1000,
+        unit: "ms",
+        label: "Resolved handle re-check interval",
+        scope: "background"
+    },
+    HANDLE_REVALIDATE_BUDGET: {
+        default: 20,
+        min: 0,
+        max: 200,
+        unit: "lookups",
+        label: "Handle re-checks per hour",
+        scope: "background"
+    },
+    HANDLE_RESOLVE_TIMEOUT_MS: {
+        default: 8000,
+        min: 1000,
+        max: 60000,
+        unit: "ms",
+        label: "Channel page fetch timeout",
+        scope: "background"
+    },
+    HANDLE_CACHE_MAX: {
+        default: 5000,
+        min: 100,
+        max: 50000,
+        unit: "entries",
+        label: "Resolved handle cache size",
+        scope: "background"
+    },
+    CHANNEL_CACHE_MAX: {
+        default: 2000,
+        min: 100,
+        max: 50000,
+        unit: "entries",
+        label: "Per-channel check cache size",
+        scope: "background"
+    },
+    VERIFY_HISTORY_MAX: {
+        default: 5000,
+        min: 100,
+        max: 50000,
+        unit: "entries",
+        label: "Negative verification history size",
+        scope: "background"
+    },
+    PC_BUDGET_MAX: {
+        default: 20,
+        min: 0,
+        max: 500,
+        unit: "calls",
+        label: "Per-channel check requests per minute (up to 50 channels each)",
+        scope: "background"
+    },
+    VERIFY_BUDGET_MAX: {
+        default: 10,
+        min: 0,
+        max: 500,
+        unit: "calls",
+        label: "Negative verification requests per minute (up to 50 channels each)",
+        scope: "background"
+    },
+    VERIFY_NEG_TTL_MS: {
+        default: 6 * 60 * 60 * 1000,
+        min: 60 * 1000,
+        max: 30 * 24 * 60 * 60 * 1000,
+        unit: "ms",
+        label: "Re-verify cooldown for non-subscribed channels",
+        scope: "background"
+    },
+    BULK_INTERVAL_MS: {
+        default: 800,
+        min: 100,
+        max: 10000,
+        unit: "ms",
+        label: "Minimum interval between bulk checks",
+        scope: "content"
+    },
+    MAX_IDS_PER_BULK: {
+        default: 200,
+        min: 1,
+        max: 200,
+        unit: "ids",
+        label: "Channel references per bulk check",
+        scope: "content"
+    },
+    QUOTA_CAP_SYNC: {
+        default: 2000,
+        min: 0,
+        max: 10000,
+        unit: "units",
+        label: "Daily API units for subscription syncs",
+        scope: "background"
+    },
+    QUOTA_CAP_PER_CHANNEL: {
+        default: 1000,
+        min: 0,
+        max: 10000,
+        unit: "units",
+        label: "Daily API units for per-channel checks",
+        scope: "background"
+    },
+    QUOTA_CAP_VERIFY: {
+        default: 1000,
+        min: 0,
+        max: 10000,
+        unit: "units",
+        label: "Daily API units for negative verification",
+        scope: "background"
+    },
+    QUOTA_CAP_SEARCH: {
+        default: 2000,
+        min: 0,
+        max: 10000,
+        unit: "units",
+        label: "Daily API units for search fallback",
+        scope: "background"
+    },
+    QUOTA_CAP_RESOLVE: {
+        default: 500,
+        min: 0,
+        max: 10000,
+        unit: "units",
+        label: "Daily API units for exact handle lookups",
+        scope: "background"
+    },
+    QUOTA_CAP_IDENTITY: {
+        default: 200,
+        min: 0,
+        max: 10000,
+        unit: "units",
+        label: "Daily API units for identity lookups",
+        scope: "background"
+    },
+    SEARCH_FALLBACK: {
+        type: "enum",
+        default: "off",
+        options: ["off", "on"],
+        label: "Guess unresolved channels with the Search API (100 units per call, low confidence)",
+        scope: "background"
+    },
+    ACCOUNT_MISMATCH_MODE: {
+        type: "enum",
+        default: "warn",
+        options: ["warn", "pause", "switch"],
+        label: "When the YouTube page account differs from the signed-in account",
+        scope: "content"
+    }
+};
+
+/*
+    Function: defaultSettings
+
+    Purpose
+    Build a fresh settings object populated with schema defaults.
+
+    Inputs
+    - None
+
+    Outputs
+    - { [name]: number|string }
+*/
+export function defaultSettings() {
+    // Copy each default into a plain object.
+    const out = {};
+    for (const [name, spec] of Object.entries(SETTINGS_SCHEMA)) out[name] = spec.default;
+    return out;
+}
+
+/*
+    Function: validateSetting
+
+    Purpose
+    Check a single candidate value against its schema entry.
+
+    Inputs
+    - name: string setting name
+    - value: any candidate value
+
+    Outputs
+    - { ok: true, value: number|string } | { ok: false, error: string }
+*/
+export function validateSetting(name, value) {
+    // Reject unknown names outright.
+    const spec = SETTINGS_SCHEMA[name];
+    if (!spec) return { ok: false, error: `unknown setting ${name}` };
+
+    // Enumerations accept only one of their listed options.
+    if (spec.type === "enum") {
+        if (!spec.options.includes(value)) return { ok: false, error: `must be one of ${spec.options.join(", ")}` };
+        return { ok: true, value };
+    }
+
+    // Require a finite integer within the declared bounds.
+    const n = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof n !== "number" || !Number.isFinite(n) || !Number.isInteger(n)) {
+        return { ok: false, error: "must be a whole number" };
+    }
+    if (n < spec.min || n > spec.max) {
+        return { ok: false, error: `must be between ${spec.min} and ${spec.max}` };
+    }
+    return { ok: true, value: n };
+}
+
+/*
+    Function: sanitizeSettings
+
+    Purpose
+    Merge a stored settings object over defaults, dropping unknown keys and invalid values.
+
+    Inputs
+    - raw: object|undefined as read from storage
+
+    Outputs
+    - { [name]: number|string } complete, valid settings
+*/
+export function sanitizeSettings(raw) {
+    // Start from defaults and overlay only values that validate.
+    const out = defaultSettings();
+    if (!raw || typeof raw !== "object") return out;
+    for (const name of Object.keys(SETTINGS_SCHEMA)) {
+        if (raw[name] === undefined) continue;
+        const v = validateSetting(name, raw[name]);
+        if (v.ok) out[name] = v.value;
+    }
+    return out;
+}
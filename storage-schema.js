@@ -0,0 +1,254 @@
+// storage-schema.js
+
+/*
+    Module: Storage Schema
+
+    Purpose
+    Layout of the service worker's chrome.storage.local data: the storage keys and shard counts of the
+    caches, the shard helpers, the storage wrappers, and the ordered migrations that bring older layouts
+    up to date. Kept apart from background.js so the migrations can be exercised against stored snapshots.
+*/
+
+// Storage keys and shard counts of the layouts the migrations touch.
+export const SCHEMA_VERSION_KEY = "schemaVersion";
+export const IDENTITIES_KEY = "identities";
+export const SUBS_INDEX_KEY = "subscriptionsIndex";
+export const CHANNEL_CACHE_KEY = "subscriptionCache";
+export const HANDLE_CACHE_KEY = "handleChannelCache";
+export const HANDLE_CACHE_SHARDS = 16;
+export const CHANNEL_CACHE_SHARDS = 16;
+
+/*
+    Function: identityKey
+
+    Purpose
+    Build the storage key for a per-identity record.
+
+    Inputs
+    - base: string key prefix (e.g., SUBS_INDEX_KEY)
+    - id: string identity channel id
+
+    Outputs
+    - string
+*/
+export function identityKey(base, id) {
+    return `${base}:${id}`;
+}
+
+/*
+    Function: shardOf / shardKeys
+
+    Purpose
+    Place a cache key in one of a fixed number of storage shards, and list a cache's shard keys.
+
+    Inputs
+    - key: string cache key; count: number of shards; base: storage key of the cache
+
+    Outputs
+    - number shard index | string[] storage keys "<base>#<n>"
+*/
+export function shardOf(key, count) {
+    let h = 5381;
+    for (let i = 0; i < key.length; i++) h = ((h * 33) ^ key.charCodeAt(i)) >>> 0;
+    return h % count;
+}
+export function shardKeys(base, count) {
+    return Array.from({ length: count }, (_, n) => `${base}#${n}`);
+}
+
+/*
+    Function: shardValues
+
+    Purpose
+    Split a cache object into the storage entries of the requested shards (all shards by default).
+
+    Inputs
+    - obj: cache object
+    - base: storage key of the cache; count: number of shards
+    - shards: number[] shard indexes to build, or null for all
+
+    Outputs
+    - object keyed by shard storage key
+*/
+export function shardValues(obj, base, count, shards = null) {
+    const wanted = new Set(shards || Array.from({ length: count }, (_, n) => n));
+    const values = {};
+    for (const n of wanted) values[`${base}#${n}`] = {};
+    for (const [key, entry] of Object.entries(obj || {})) {
+        const n = shardOf(key, count);
+        if (wanted.has(n)) values[`${base}#${n}`][key] = entry;
+    }
+    return values;
+}
+
+/*
+    Function: loadShards
+
+    Purpose
+    Merge a sharded cache read from storage into one object, ordered oldest first by entry time so the
+    in-memory LRU order survives the round trip.
+
+    Inputs
+    - data: storage read result
+    - base: storage key of the cache; count: number of shards
+    - timeOf: function(entry) => number
+
+    Outputs
+    - object
+*/
+export function loadShards(data, base, count, timeOf) {
+    const merged = [];
+    for (const key of shardKeys(base, count)) {
+        if (data[key] && typeof data[key] === "object") merged.push(...Object.entries(data[key]));
+    }
+    merged.sort((x, y) => timeOf(x[1]) - timeOf(y[1]));
+    return Object.fromEntries(merged);
+}
+
+/*
+    Function: storageGet / storageSet / storageRemove
+
+    Purpose
+    Promise wrappers over chrome.storage.local, shared by the migrations and the service worker.
+
+    Inputs
+    - keys: string[] | values: object
+
+    Outputs
+    - Promise<object> | Promise<string|null> (set: the error message of a failed write) | Promise<void>
+*/
+export function storageGet(keys) {
+    return new Promise(resolve => chrome.storage.local.get(keys, data => resolve(data || {})));
+}
+export function storageSet(values) {
+    return new Promise(resolve => chrome.storage.local.set(values, () => resolve(chrome.runtime.lastError?.message || null)));
+}
+export function storageRemove(keys) {
+    return new Promise(resolve => chrome.storage.local.remove(keys, () => resolve()));
+}
+
+/*
+    Function: migrationSet
+
+    Purpose
+    storageSet that throws on failure, so a migration never removes source data it could not rewrite.
+
+    Inputs
+    - values: object keyed by storage key
+
+    Outputs
+    - Promise<void>
+*/
+async function migrationSet(values) {
+    const err = await storageSet(values);
+    if (err) throw new Error(err);
+}
+
+/*
+    Code Block: Storage Migrations
+
+    Purpose
+    Ordered upgrades of the chrome.storage.local layout. SCHEMA_VERSION_KEY holds the version of the
+    last migration applied (0 or absent for layouts older than versioning); each migration must be safe
+    to re-run on data it already converted, because a worker killed mid-migration retries it. Add new
+    steps at the end with the next version number; never edit or reorder released ones.
+
+    Inputs
+    - None (reads and writes chrome.storage.local)
+
+    Outputs
+    - MIGRATIONS: { version, name, run: () => Promise<void> }[]
+*/
+export const MIGRATIONS = [
+    {
+        version: 1,
+        name: "handle cache entries as objects, sharded",
+        run: async () => {
+            // Bare UC strings and { id, lowConfidence } guesses become { id, ts, strategy, confidence, source }.
+            const data = await storageGet([HANDLE_CACHE_KEY, ...shardKeys(HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS)]);
+            const merged = { ...(data[HANDLE_CACHE_KEY] || {}), ...loadShards(data, HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS, () => 0) };
+            const next = {};
+            for (const [key, entry] of Object.entries(merged)) {
+                if (typeof entry === "string") next[key] = { id: entry, ts: 0, strategy: null, confidence: "unknown", source: null };
+                else if (entry && entry._neg) next[key] = { _neg: true, ts: entry.ts || 0 };
+                else if (entry && typeof entry.id === "string") {
+                    const { lowConfidence, ...rest } = entry;
+                    next[key] = lowConfidence ? { ...rest, strategy: "search", confidence: "low", source: null } : entry;
+                }
+            }
+            await migrationSet(shardValues(next, HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS));
+            await storageRemove([HANDLE_CACHE_KEY]);
+        }
+    },
+    {
+        version: 2,
+        name: "per-channel caches sharded",
+        run: async () => {
+            // Every known identity's single-object subscriptionCache:<id> moves into its shards.
+            const ids = Object.keys((await storageGet([IDENTITIES_KEY]))[IDENTITIES_KEY] || {});
+            for (const id of ids) {
+                const pcKey = identityKey(CHANNEL_CACHE_KEY, id);
+                const data = await storageGet([pcKey, ...shardKeys(pcKey, CHANNEL_CACHE_SHARDS)]);
+                if (!data[pcKey] || typeof data[pcKey] !== "object") continue;
+                const merged = { ...data[pcKey], ...loadShards(data, pcKey, CHANNEL_CACHE_SHARDS, () => 0) };
+                await migrationSet(shardValues(merged, pcKey, CHANNEL_CACHE_SHARDS));
+                await storageRemove([pcKey]);
+            }
+        }
+    },
+    {
+        version: 3,
+        name: "subscription index records",
+        run: async () => {
+            // Indexes from before records were stored carry only ids; give them an empty record map.
+            const ids = Object.keys((await storageGet([IDENTITIES_KEY]))[IDENTITIES_KEY] || {});
+            const keys = [SUBS_INDEX_KEY, ...ids.map(id => identityKey(SUBS_INDEX_KEY, id))];
+            const data = await storageGet(keys);
+            const fixed = {};
+            for (const key of keys) {
+                const idx = data[key];
+                if (idx && Array.isArray(idx.ids) && (!idx.records || typeof idx.records !== "object")) fixed[key] = { ...idx, records: {} };
+            }
+            if (Object.keys(fixed).length) await migrationSet(fixed);
+        }
+    }
+];
+
+/*
+    Function: runMigrations
+
+    Purpose
+    Apply, in order, every migration newer than the stored schema version, recording the version after
+    each one. A failing migration stops the run without touching the data it could not convert, so the
+    next start retries it; data from a newer version of the extension is left alone.
+
+    Inputs
+    - logger: { info, warn, error } used for progress and failures
+
+    Outputs
+    - Promise<{ version: number, error: Error|null }> schema version now in storage and the failure, if any
+*/
+export async function runMigrations(logger) {
+    // Read the stored version; absent means a layout older than versioning (or a fresh install).
+    let version = Number((await storageGet([SCHEMA_VERSION_KEY]))[SCHEMA_VERSION_KEY]) || 0;
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+    if (version > latest) {
+        logger.warn("storage schema", version, "is newer than this build", latest);
+        return { version, error: null };
+    }
+
+    // Apply each pending step and record it before the next.
+    for (const m of MIGRATIONS) {
+        if (m.version <= version) continue;
+        try {
+            await m.run();
+        } catch (e) {
+            logger.error("storage migration failed", m.version, m.name, e?.message || e);
+            return { version, error: e };
+        }
+        await storageSet({ [SCHEMA_VERSION_KEY]: m.version });
+        version = m.version;
+        logger.info("storage migrated to", version, m.name);
+    }
+    return { version, error: null };
+}
@@ -0,0 +1,234 @@
+// tests/storage-schema.test.js
+
+/*
+    Module: Storage Migration Tests
+
+    Purpose
+    Run the storage migrations against snapshots of each older chrome.storage.local layout, held in a
+    stubbed chrome.storage.local, and check each step's output, the final schema version, and that a
+    second run changes nothing. Run with `node --test tests/` from the repository root.
+*/
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    SCHEMA_VERSION_KEY, IDENTITIES_KEY, SUBS_INDEX_KEY, CHANNEL_CACHE_KEY, HANDLE_CACHE_KEY,
+    HANDLE_CACHE_SHARDS, CHANNEL_CACHE_SHARDS, MIGRATIONS, identityKey, shardOf, shardValues, runMigrations
+} from "../storage-schema.js";
+
+/*
+    Code Block: chrome.storage.local Stub
+
+    Purpose
+    In-memory stand-in for chrome.storage.local with the callback API storage-schema.js uses. Values
+    are cloned on the way in and out, like the real store. Setting failNextSet makes the next set report
+    an error through chrome.runtime.lastError.
+
+    Inputs
+    - None
+
+    Outputs
+    - globalThis.chrome; store: Map of key to value; failNextSet: string|null
+*/
+const store = new Map();
+let failNextSet = null;
+globalThis.chrome = {
+    runtime: { lastError: undefined },
+    storage: {
+        local: {
+            get(keys, cb) {
+                const out = {};
+                for (const key of keys) if (store.has(key)) out[key] = structuredClone(store.get(key));
+                cb(out);
+            },
+            set(values, cb) {
+                if (failNextSet) {
+                    chrome.runtime.lastError = { message: failNextSet };
+                    failNextSet = null;
+                } else {
+                    for (const [key, value] of Object.entries(values)) store.set(key, structuredClone(value));
+                }
+                cb();
+                chrome.runtime.lastError = undefined;
+            },
+            remove(keys, cb) {
+                for (const key of keys) store.delete(key);
+                cb();
+            }
+        }
+    }
+};
+
+// Quiet logger; failures surface through runMigrations' result.
+const logger = { info() {}, warn() {}, error() {} };
+
+// Helpers over the stub: load a snapshot, read it back as a plain object.
+function load(snapshot) {
+    store.clear();
+    for (const [key, value] of Object.entries(snapshot)) store.set(key, structuredClone(value));
+}
+function dump() {
+    return Object.fromEntries([...store.entries()].map(([key, value]) => [key, structuredClone(value)]));
+}
+function without(obj, ...keys) {
+    return Object.fromEntries(Object.entries(obj).filter(([key]) => !keys.includes(key)));
+}
+function step(version) {
+    return MIGRATIONS.find(m => m.version === version);
+}
+
+/*
+    Code Block: Fixtures
+
+    Purpose
+    Snapshots of storage as older versions of the extension left it.
+
+    Inputs
+    - None
+
+    Outputs
+    - PRE_VERSIONING: no schemaVersion; unsharded handle cache with bare strings, lowConfidence guesses
+      and negative entries; unsharded per-channel cache; indexes with ids but no records
+    - PARTLY_SHARDED: handle cache already partly in shards next to the legacy object (a worker killed
+      mid-migration), schemaVersion absent
+*/
+const ID_A = "UCaaaaaaaaaaaaaaaaaaaaaa";
+const ID_B = "UCbbbbbbbbbbbbbbbbbbbbbb";
+const PRE_VERSIONING = {
+    [IDENTITIES_KEY]: { [ID_A]: { title: "A" }, [ID_B]: { title: "B" } },
+    [HANDLE_CACHE_KEY]: {
+        "@plain": "UC1111111111111111111111",
+        "@guess": { id: "UC2222222222222222222222", ts: 500, lowConfidence: true },
+        "@missing": { _neg: true, ts: 700 },
+        "@current": { id: "UC3333333333333333333333", ts: 900, strategy: "forHandle", confidence: "high", source: "api" },
+        "@junk": 42
+    },
+    [identityKey(CHANNEL_CACHE_KEY, ID_A)]: {
+        UC1111111111111111111111: { subscribed: true, ts: 100 },
+        UC2222222222222222222222: { subscribed: false, ts: 200 }
+    },
+    [SUBS_INDEX_KEY]: { ids: ["UC1111111111111111111111"], updatedAt: 1000 },
+    [identityKey(SUBS_INDEX_KEY, ID_A)]: { ids: ["UC1111111111111111111111"], updatedAt: 2000 },
+    [identityKey(SUBS_INDEX_KEY, ID_B)]: { ids: [], updatedAt: 3000, records: { kept: true } }
+};
+const PARTLY_SHARDED = {
+    [HANDLE_CACHE_KEY]: { "@plain": "UC1111111111111111111111", "@stale": "UC4444444444444444444444" },
+    ...shardValues({ "@stale": { id: "UC5555555555555555555555", ts: 1200, strategy: "forHandle", confidence: "high", source: "api" } },
+        HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS, [shardOf("@stale", HANDLE_CACHE_SHARDS)])
+};
+
+beforeEach(() => {
+    store.clear();
+    failNextSet = null;
+});
+
+// Expected results of each step on PRE_VERSIONING.
+const V1_HANDLES = shardValues({
+    "@plain": { id: "UC1111111111111111111111", ts: 0, strategy: null, confidence: "unknown", source: null },
+    "@guess": { id: "UC2222222222222222222222", ts: 500, strategy: "search", confidence: "low", source: null },
+    "@missing": { _neg: true, ts: 700 },
+    "@current": PRE_VERSIONING[HANDLE_CACHE_KEY]["@current"]
+}, HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS);
+const PC_A = identityKey(CHANNEL_CACHE_KEY, ID_A);
+const V2_CHANNELS = shardValues(PRE_VERSIONING[PC_A], PC_A, CHANNEL_CACHE_SHARDS);
+const V3_INDEXES = {
+    [SUBS_INDEX_KEY]: { ...PRE_VERSIONING[SUBS_INDEX_KEY], records: {} },
+    [identityKey(SUBS_INDEX_KEY, ID_A)]: { ...PRE_VERSIONING[identityKey(SUBS_INDEX_KEY, ID_A)], records: {} }
+};
+
+test("v1 converts legacy handle cache entries and writes them as shards", async () => {
+    load(PRE_VERSIONING);
+    await step(1).run();
+
+    // The legacy object is replaced by shards; unrecognised entries are dropped; nothing else changes.
+    assert.deepEqual(dump(), { ...without(PRE_VERSIONING, HANDLE_CACHE_KEY), ...V1_HANDLES });
+});
+
+test("v1 merges a partly sharded handle cache, keeping the shard entry over the legacy one", async () => {
+    load(PARTLY_SHARDED);
+    await step(1).run();
+
+    assert.deepEqual(dump(), shardValues({
+        "@plain": { id: "UC1111111111111111111111", ts: 0, strategy: null, confidence: "unknown", source: null },
+        "@stale": { id: "UC5555555555555555555555", ts: 1200, strategy: "forHandle", confidence: "high", source: "api" }
+    }, HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS));
+});
+
+test("v2 moves each identity's unsharded channel cache into shards", async () => {
+    load({ ...without(PRE_VERSIONING, HANDLE_CACHE_KEY), ...V1_HANDLES });
+    await step(2).run();
+
+    // Identity B had no cache and gets no shards.
+    assert.deepEqual(dump(), { ...without(PRE_VERSIONING, HANDLE_CACHE_KEY, PC_A), ...V1_HANDLES, ...V2_CHANNELS });
+    assert.equal(store.has(`${identityKey(CHANNEL_CACHE_KEY, ID_B)}#0`), false);
+});
+
+test("v3 adds an empty record map to indexes without one", async () => {
+    const before = { ...without(PRE_VERSIONING, HANDLE_CACHE_KEY, PC_A), ...V1_HANDLES, ...V2_CHANNELS };
+    load(before);
+    await step(3).run();
+
+    // Identity B's index already had records and is left as it was.
+    assert.deepEqual(dump(), { ...before, ...V3_INDEXES });
+});
+
+test("runMigrations brings a pre-versioning layout to the latest version", async () => {
+    load(PRE_VERSIONING);
+    const result = await runMigrations(logger);
+
+    assert.deepEqual(result, { version: 3, error: null });
+    assert.deepEqual(dump(), {
+        ...without(PRE_VERSIONING, HANDLE_CACHE_KEY, PC_A),
+        ...V1_HANDLES,
+        ...V2_CHANNELS,
+        ...V3_INDEXES,
+        [SCHEMA_VERSION_KEY]: 3
+    });
+});
+
+test("a second runMigrations leaves storage unchanged", async () => {
+    for (const snapshot of [PRE_VERSIONING, PARTLY_SHARDED, {}]) {
+        load(snapshot);
+        await runMigrations(logger);
+        const first = dump();
+        assert.deepEqual(await runMigrations(logger), { version: 3, error: null });
+        assert.deepEqual(dump(), first);
+    }
+});
+
+test("each step is idempotent when re-run on its own output", async () => {
+    load(PRE_VERSIONING);
+    for (const m of MIGRATIONS) {
+        await m.run();
+        const once = dump();
+        await m.run();
+        assert.deepEqual(dump(), once, `migration ${m.version} changed storage on re-run`);
+    }
+});
+
+test("a fresh install only records the schema version", async () => {
+    assert.deepEqual(await runMigrations(logger), { version: 3, error: null });
+    assert.deepEqual(dump(), {
+        [SCHEMA_VERSION_KEY]: 3,
+        ...shardValues({}, HANDLE_CACHE_KEY, HANDLE_CACHE_SHARDS)
+    });
+});
+
+test("a failed write stops the run and keeps the source data", async () => {
+    load(PRE_VERSIONING);
+    failNextSet = "QUOTA_BYTES quota exceeded";
+    const result = await runMigrations(logger);
+
+    assert.equal(result.version, 0);
+    assert.equal(result.error.message, "QUOTA_BYTES quota exceeded");
+    assert.deepEqual(dump(), PRE_VERSIONING);
+
+    // The next start retries from the same step.
+    assert.deepEqual(await runMigrations(logger), { version: 3, error: null });
+});
+
+test("data from a newer schema is left alone", async () => {
+    load({ ...PRE_VERSIONING, [SCHEMA_VERSION_KEY]: 99 });
+    assert.deepEqual(await runMigrations(logger), { version: 99, error: null });
+    assert.deepEqual(dump(), { ...PRE_VERSIONING, [SCHEMA_VERSION_KEY]: 99 });
+});